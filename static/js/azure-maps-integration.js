@@ -2,6 +2,8 @@
  * Azure Maps Complete Integration Module
  * Handles secure API key loading, validation, and map initialization
  * Supports both GitHub Secrets (production) and local .env (development)
+ * Falls back to a keyless MapProvider (map-providers.js) as configured in data/map.json
+ * Locations (markers, popups and the contact location text) also come from data/map.json
  */
 
 class AzureMapsIntegration {
@@ -10,8 +12,15 @@ class AzureMapsIntegration {
         this.subscriptionKey = null;
         this.initialized = false;
         this.mapContainer = 'map';
-        this.defaultCenter = [121.45072731559546, 31.022687981537082];
-        this.defaultZoom = 8;
+        this.configUrl = './data/map.json';
+        this.config = { ...AzureMapsIntegration.defaults };
+        this.provider = null; // "azure", or the fallback provider that rendered the map
+        this.locations = [];
+        this.popups = [];
+        this.defaultCenter = this.config.center;
+        this.defaultZoom = this.config.zoom;
+        this.locationElement = 'map-location';
+        this.ready = window.lifecycle.whenSettled('map:ready', 'map:error');
     }
 
     /**
@@ -20,27 +29,215 @@ class AzureMapsIntegration {
     async initialize() {
         try {
             console.log('🗺️ Initializing Azure Maps Integration...');
-            
-            // Load API key from appropriate source
-            await this.loadApiKey();
-            
+
+            await this.loadConfig();
+            this.renderLocationText();
+
+            // Only the static provider draws without network access
+            if (navigator.onLine === false && this.config.provider !== 'static') {
+                throw new Error('Offline, the map will load when the connection is back');
+            }
+
             // Initialize the map if container exists
             if (document.getElementById(this.mapContainer)) {
-                await this.initializeMap();
+                await this.initializeProvider();
             } else {
                 console.log('ℹ️ Map container not found, skipping map initialization');
             }
             
             this.initialized = true;
-            console.log('✅ Azure Maps Integration initialized successfully');
+            console.log(`✅ Map initialized successfully (${this.provider || 'no container'})`);
+            window.lifecycle.emit('map:ready', { map: this.map, provider: this.provider });
             
         } catch (error) {
             console.error('❌ Failed to initialize Azure Maps Integration:', error);
-            this.showMapError();
+            const offline = navigator.onLine === false;
+            this.showMapError(offline);
+            if (offline) {
+                // The service worker keeps the page usable offline; retry once the network is back
+                window.addEventListener('online', () => this.retry(), { once: true });
+            }
+            window.lifecycle.emit('map:error', { error });
             throw error;
         }
     }
 
+    /**
+     * Initialize again after a failure. The rejected ready promise is replaced by one for this
+     * attempt, so callers awaiting azureMapsIntegration.ready after the retry see its outcome
+     */
+    retry() {
+        window.lifecycle.reset('map:error');
+        this.ready = window.lifecycle.whenSettled('map:ready', 'map:error');
+        return this.initialize().catch(() => null);
+    }
+
+    /**
+     * Load the provider settings from data/map.json (defaults when missing)
+     */
+    async loadConfig() {
+        try {
+            const response = await fetch(this.configUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const config = await response.json();
+            const defaults = AzureMapsIntegration.defaults;
+            this.config = {
+                ...defaults,
+                ...config,
+                tiles: { ...defaults.tiles, ...config.tiles },
+                static: { ...defaults.static, ...config.static }
+            };
+        } catch (error) {
+            console.log('ℹ️ Map config unavailable, using defaults:', error.message);
+        }
+
+        this.locations = this.getLocations();
+        const main = this.getCurrentLocations()[0] || this.locations[0];
+        this.defaultCenter = main ? main.coordinates : this.config.center;
+        this.defaultZoom = this.config.zoom;
+    }
+
+    /**
+     * Valid locations from the config, with label and description in the active locale
+     */
+    getLocations() {
+        return (this.config.locations || []).filter(location => {
+            const coordinates = location && location.coordinates;
+            const valid = Array.isArray(coordinates) && coordinates.length === 2 &&
+                coordinates.every(value => typeof value === 'number' && Number.isFinite(value));
+            if (!valid) {
+                console.warn('⚠️ Skipping map location without [longitude, latitude] coordinates:', location);
+            }
+            return valid;
+        }).map(location => ({
+            label: this.localize(location.label) || this.formatLabelFallback(location),
+            description: this.localize(location.description) || '',
+            coordinates: location.coordinates,
+            current: location.current === true,
+            previous: location.previous === true
+        }));
+    }
+
+    /**
+     * Fallback label for locations without one
+     */
+    formatLabelFallback(location) {
+        const [longitude, latitude] = location.coordinates;
+        return `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`;
+    }
+
+    /**
+     * Locations flagged "current", or every location that is not "previous" when none is flagged
+     */
+    getCurrentLocations() {
+        const current = this.locations.filter(location => location.current);
+        return current.length > 0 ? current : this.locations.filter(location => !location.previous);
+    }
+
+    /**
+     * Pick the active locale from a { "en": ..., "zh": ... } value (plain strings are used as is)
+     */
+    localize(value) {
+        if (!value || typeof value === 'string') {
+            return value || null;
+        }
+        const locale = window.i18n ? window.i18n.locale : 'en';
+        const defaultLocale = window.i18n ? window.i18n.defaultLocale : 'en';
+        return value[locale] ?? value[defaultLocale] ?? Object.values(value)[0] ?? null;
+    }
+
+    /**
+     * Show the current (and previous) locations under the contact "Location" heading
+     */
+    renderLocationText() {
+        const element = document.getElementById(this.locationElement);
+        if (!element) {
+            return;
+        }
+
+        element.innerHTML = '';
+        const current = this.getCurrentLocations();
+        const previous = this.locations.filter(location => location.previous);
+
+        if (current.length > 0) {
+            const line = document.createElement('span');
+            line.className = 'map-location-current';
+            line.textContent = current.map(location => location.label).join(' · ');
+            element.appendChild(line);
+        }
+
+        if (previous.length > 0) {
+            const line = document.createElement('small');
+            line.className = 'map-location-previous';
+            line.textContent = `${t('map.previously', 'Previously')}: ${previous.map(location => location.label).join(' · ')}`;
+            element.appendChild(line);
+        }
+
+        element.hidden = this.locations.length === 0;
+    }
+
+    /**
+     * Re-render the location text, markers and popups (e.g. after a locale change)
+     */
+    renderLocations() {
+        this.locations = this.getLocations();
+        this.renderLocationText();
+
+        if (this.provider === 'azure' && this.map) {
+            this.addMarkers();
+        } else if (this.provider) {
+            this.renderFallback(this.provider);
+        }
+    }
+
+    /**
+     * Render the map with the configured provider:
+     * "azure" requires a key, "auto" tries Azure Maps and falls back, "static"/"tiles" skip Azure entirely
+     */
+    async initializeProvider() {
+        const { provider, fallback } = this.config;
+
+        if (provider !== 'azure' && provider !== 'auto') {
+            this.renderFallback(provider);
+            return;
+        }
+
+        try {
+            // Load API key from appropriate source
+            await this.loadApiKey();
+            await this.initializeMap();
+            this.provider = 'azure';
+        } catch (error) {
+            if (provider === 'azure' || !fallback) {
+                throw error;
+            }
+            console.warn(`⚠️ Azure Maps unavailable, using the "${fallback}" map provider:`, error.message);
+            this.renderFallback(fallback);
+        }
+    }
+
+    /**
+     * Replace the map container content with a keyless provider
+     * @param {string} name - "static" or "tiles"
+     */
+    renderFallback(name) {
+        if (this.map) {
+            this.map.dispose();
+            this.map = null;
+        }
+
+        const container = document.getElementById(this.mapContainer);
+        container.innerHTML = '';
+        MapProvider.create(name, this.config[name]).render(container, {
+            locations: this.locations,
+            center: this.defaultCenter,
+            zoom: this.defaultZoom
+        });
+        this.provider = name;
+    }
+
     /**
      * Load API key from various sources with fallback chain
      */
@@ -178,12 +375,8 @@ class AzureMapsIntegration {
      */
     onMapReady() {
         try {
-            // Create a HTML marker and add it to the map
-            this.map.markers.add(new atlas.HtmlMarker({
-                htmlContent: "<div><div class='pin bounce'></div><div class='pulse'></div></div>",
-                position: this.defaultCenter,
-                pixelOffset: [5, -18]
-            }));
+            this.addMarkers();
+            this.fitToLocations();
 
             // Add map controls
             this.map.controls.add([
@@ -203,18 +396,66 @@ class AzureMapsIntegration {
         }
     }
 
+    /**
+     * Add an HTML marker with a popup for every location (replacing existing ones)
+     */
+    addMarkers() {
+        this.map.markers.clear();
+        this.popups.forEach(popup => popup.remove());
+        this.popups = [];
+
+        this.locations.forEach(location => {
+            const marker = new atlas.HtmlMarker({
+                htmlContent: MapProvider.getMarkerHtml(location),
+                position: location.coordinates,
+                pixelOffset: MapProvider.markerOffset
+            });
+            const popup = new atlas.Popup({
+                content: MapProvider.createPopupContent(location),
+                position: location.coordinates,
+                pixelOffset: AzureMapsIntegration.popupOffset
+            });
+
+            this.map.events.add('click', marker, () => {
+                this.popups.forEach(other => other.close());
+                popup.open(this.map);
+            });
+            this.map.markers.add(marker);
+            this.popups.push(popup);
+        });
+    }
+
+    /**
+     * Zoom out until every location is visible (never closer than the configured zoom)
+     */
+    fitToLocations() {
+        if (this.locations.length < 2) {
+            return;
+        }
+        this.map.setCamera({
+            bounds: atlas.data.BoundingBox.fromPositions(this.locations.map(location => location.coordinates)),
+            padding: AzureMapsIntegration.fitPadding,
+            maxZoom: this.defaultZoom
+        });
+    }
+
     /**
      * Show error message when map fails to load
+     * @param {boolean} [offline] - Show the offline fallback instead of the generic error
      */
-    showMapError() {
+    showMapError(offline = false) {
         const mapContainer = document.getElementById(this.mapContainer);
         if (mapContainer) {
+            const message = offline
+                ? [t('map.offline', 'Map unavailable offline'), t('map.offlineHint', 'It will load when you are back online')]
+                : [t('map.unavailable', 'Map temporarily unavailable'), t('map.unavailableHint', 'Please check your connection and try again')];
+
             mapContainer.innerHTML = `
                 <div style="display: flex; align-items: center; justify-content: center; height: 200px; background-color: #f8f9fa; border: 1px solid #dee2e6; border-radius: 4px;">
                     <div style="text-align: center; color: #6c757d;">
                         <i class="fa fa-map-marker" style="font-size: 2em; margin-bottom: 10px;"></i>
-                        <p>Map temporarily unavailable</p>
-                        <small>Please check your connection and try again</small>
+                        <p>${message[0]}</p>
+                        <small>${message[1]}</small>
                     </div>
                 </div>
             `;
@@ -252,6 +493,9 @@ class AzureMapsIntegration {
             console.log('❌ ENV_CONFIG not found - env-config.js may not be loaded');
         }
         
+        console.log(`Map provider: ${this.config.provider} (fallback: ${this.config.fallback || 'none'}), rendered with: ${this.provider || 'nothing yet'}`);
+        console.log(`Map locations: ${this.locations.map(location => location.label).join(', ') || 'none'}`);
+
         // Test current instance
         if (this.initialized) {
             console.log('✅ Azure Maps Integration initialized successfully');
@@ -318,6 +562,31 @@ class AzureMapsIntegration {
     }
 }
 
+AzureMapsIntegration.defaults = {
+    provider: 'auto',
+    fallback: 'static',
+    // Map view when no locations are configured
+    center: [0, 0],
+    zoom: 8,
+    locations: [],
+    tiles: {
+        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '© OpenStreetMap contributors',
+        maxZoom: 19
+    },
+    static: {
+        image: null,
+        bounds: null,
+        attribution: null
+    }
+};
+
+// Space in pixels around the markers when fitting several locations
+AzureMapsIntegration.fitPadding = 50;
+
+// Opens popups above the pin instead of on top of it
+AzureMapsIntegration.popupOffset = [0, -40];
+
 // Global instance
 let azureMapsIntegration = null;
 
@@ -325,23 +594,22 @@ let azureMapsIntegration = null;
 document.addEventListener('DOMContentLoaded', async function() {
     try {
         azureMapsIntegration = new AzureMapsIntegration();
-        await azureMapsIntegration.initialize();
         
-        // Make it globally available
+        // Make it globally available before initializing so callers can await .ready
         window.azureMapsIntegration = azureMapsIntegration;
-        
         // Legacy compatibility
         window.azureMaps = azureMapsIntegration;
         window.validateAzureMapsSetup = () => azureMapsIntegration.validateSetup();
+        document.addEventListener('locale:changed', () => {
+            if (azureMapsIntegration.isInitialized()) {
+                azureMapsIntegration.renderLocations();
+            }
+        });
+        
+        await azureMapsIntegration.initialize();
         
     } catch (error) {
         console.error('Failed to initialize Azure Maps:', error);
-        
-        // Still make the instance available for debugging
-        if (azureMapsIntegration) {
-            window.azureMapsIntegration = azureMapsIntegration;
-            window.validateAzureMapsSetup = () => azureMapsIntegration.validateSetup();
-        }
     }
 });
 
@@ -0,0 +1,166 @@
+/**
+ * Blog Renderer
+ * Loads the posts index generated by build-blog.js and fills the Blog block
+ * with post cards; each card opens its fragment in the existing post modal (.open-post)
+ */
+
+class BlogRenderer {
+    constructor() {
+        this.dataUrl = './data/posts.json';
+        this.container = document.getElementById('blog-posts');
+        this.posts = [];
+        this.ready = window.lifecycle.whenSettled('blog:rendered', 'blog:error');
+    }
+
+    /**
+     * Initialize blog loading
+     */
+    async init() {
+        if (!this.container) {
+            console.log('ℹ️ Blog container not found, skipping blog rendering');
+            return;
+        }
+
+        try {
+            const response = await fetch(this.dataUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load posts index: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.posts = Array.isArray(data.posts) ? data.posts : [];
+            this.renderPosts(this.posts);
+            window.lifecycle.emit('blog:rendered', { posts: this.posts });
+        } catch (error) {
+            console.error('Error loading blog posts:', error);
+            this.renderMessage('error-message', t('blog.error', 'Unable to load blog posts'));
+            window.lifecycle.emit('blog:error', { error });
+        }
+    }
+
+    /**
+     * Redraw the post cards (or the error message) in the new locale
+     */
+    applyLocale() {
+        if (window.lifecycle.hasFired('blog:rendered')) {
+            this.renderPosts(this.posts);
+        } else if (window.lifecycle.hasFired('blog:error')) {
+            this.renderMessage('error-message', t('blog.error', 'Unable to load blog posts'));
+        }
+    }
+
+    /**
+     * Render all post cards
+     */
+    renderPosts(posts) {
+        this.container.innerHTML = '';
+
+        if (posts.length === 0) {
+            this.renderMessage('no-skills-message', t('blog.empty', 'No posts yet'));
+            return;
+        }
+
+        posts.forEach(post => this.container.appendChild(this.createPostCard(post)));
+    }
+
+    /**
+     * Create a post card (thumbnail, title, date, excerpt, Read More)
+     */
+    createPostCard(post) {
+        const card = document.createElement('div');
+        card.className = 'post animated fadeInUp';
+
+        if (post.thumbnail) {
+            const thumbnail = document.createElement('div');
+            thumbnail.className = 'post-thumbnail';
+            const link = this.createPostLink(post);
+            const img = document.createElement('img');
+            img.src = post.thumbnail;
+            img.alt = '';
+            img.loading = 'lazy';
+            link.appendChild(img);
+            thumbnail.appendChild(link);
+            card.appendChild(thumbnail);
+        }
+
+        const title = document.createElement('div');
+        title.className = 'post-title';
+        const titleLink = this.createPostLink(post);
+        const h2 = document.createElement('h2');
+        h2.textContent = post.title;
+        titleLink.appendChild(h2);
+        title.appendChild(titleLink);
+
+        const info = document.createElement('p');
+        info.className = 'post-info';
+        const date = document.createElement('span');
+        date.className = 'post-date';
+        date.textContent = this.formatDate(post.date);
+        info.appendChild(date);
+        if (post.tags && post.tags.length > 0) {
+            const slash = document.createElement('span');
+            slash.className = 'slash';
+            info.appendChild(slash);
+            const tags = document.createElement('span');
+            tags.className = 'post-tags';
+            tags.textContent = post.tags.join(', ');
+            info.appendChild(tags);
+        }
+        title.appendChild(info);
+        card.appendChild(title);
+
+        const body = document.createElement('div');
+        body.className = 'post-body';
+        const excerpt = document.createElement('p');
+        excerpt.textContent = post.excerpt;
+        body.appendChild(excerpt);
+        const readMore = this.createPostLink(post);
+        readMore.className = 'btn open-post';
+        readMore.textContent = t('blog.readMore', 'Read More');
+        body.appendChild(readMore);
+        card.appendChild(body);
+
+        return card;
+    }
+
+    /**
+     * Create a link that opens the post in the post modal
+     */
+    createPostLink(post) {
+        const link = document.createElement('a');
+        link.className = 'open-post';
+        link.href = post.url;
+        link.setAttribute('data-slug', post.slug);
+        return link;
+    }
+
+    /**
+     * Format an ISO date for the active locale
+     */
+    formatDate(date) {
+        const parsed = new Date(`${date}T00:00:00`);
+        if (isNaN(parsed)) {
+            return date;
+        }
+        const locale = document.documentElement.lang || 'en';
+        return parsed.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    /**
+     * Show a status message in place of the posts
+     */
+    renderMessage(className, text) {
+        this.container.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = className;
+        message.textContent = text;
+        this.container.appendChild(message);
+    }
+}
+
+// Initialize blog when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.blogRenderer = new BlogRenderer();
+    document.addEventListener('locale:changed', () => window.blogRenderer.applyLocale());
+    window.blogRenderer.init();
+});
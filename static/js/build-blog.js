@@ -0,0 +1,238 @@
+/**
+ * Blog Builder
+ * Converts Markdown posts with front matter in posts/ into:
+ *   - static/data/posts.json: index used by blog.js to render the Blog block
+ *   - static/posts/<slug>.html: fragments containing #post, loaded by the post modal
+ *
+ * Front matter (between --- lines): title, date (YYYY-MM-DD), thumbnail, excerpt, tags, slug, draft
+ * Slugs (from "slug" or the file name) are URL-safe and unique, since #/blog/<slug> links to a post
+ *
+ * Usage: node static/js/build-blog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+
+class BlogBuilder {
+    constructor(options = {}) {
+        this.postsDir = options.postsDir || path.join(__dirname, '../../posts');
+        this.outputDir = options.outputDir || path.join(__dirname, '../posts');
+        this.indexFile = options.indexFile || path.join(__dirname, '../data/posts.json');
+        this.excerptLength = 200;
+    }
+
+    /**
+     * Build the posts index and HTML fragments
+     */
+    build() {
+        try {
+            console.log('📝 Building blog posts...');
+
+            const posts = this.loadPosts();
+
+            fs.rmSync(this.outputDir, { recursive: true, force: true });
+            fs.mkdirSync(this.outputDir, { recursive: true });
+
+            posts.forEach(post => {
+                fs.writeFileSync(path.join(this.outputDir, `${post.slug}.html`), this.renderFragment(post));
+                console.log(`   - ${post.slug} ✓`);
+            });
+
+            // Dated by the newest post so rebuilding unchanged posts leaves posts.json as it is
+            const index = {
+                lastUpdated: posts.length > 0 ? posts[0].date : null,
+                totalPosts: posts.length,
+                posts: posts.map(post => ({
+                    slug: post.slug,
+                    title: post.title,
+                    date: post.date,
+                    thumbnail: post.thumbnail,
+                    excerpt: post.excerpt,
+                    tags: post.tags,
+                    url: `posts/${post.slug}.html`
+                }))
+            };
+            fs.writeFileSync(this.indexFile, JSON.stringify(index, null, 2));
+
+            console.log(`✅ Built ${posts.length} post(s)`);
+            console.log(`   📄 Index: ${path.relative(process.cwd(), this.indexFile)}`);
+        } catch (error) {
+            console.error('❌ Error building blog:', error.message);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Load the published posts, newest first, failing when two posts share a slug
+     */
+    loadPosts() {
+        if (!fs.existsSync(this.postsDir)) {
+            throw new Error(`Posts directory not found: ${this.postsDir}`);
+        }
+
+        const files = new Map();
+        return fs.readdirSync(this.postsDir)
+            .filter(file => file.endsWith('.md'))
+            .sort()
+            .map(file => {
+                const post = this.loadPost(file);
+                if (files.has(post.slug)) {
+                    throw new Error(`${file}: slug "${post.slug}" is already used by ${files.get(post.slug)}`);
+                }
+                files.set(post.slug, file);
+                return post;
+            })
+            .filter(post => !post.draft)
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Read a Markdown file and its front matter
+     */
+    loadPost(file) {
+        const source = fs.readFileSync(path.join(this.postsDir, file), 'utf8');
+        const { attributes, body } = this.parseFrontMatter(source, file);
+
+        if (!attributes.title) {
+            throw new Error(`${file}: front matter "title" is required`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(attributes.date || ''))) {
+            throw new Error(`${file}: front matter "date" must be YYYY-MM-DD`);
+        }
+
+        const slug = this.slugify(attributes.slug || path.basename(file, '.md'));
+        if (!slug) {
+            throw new Error(`${file}: cannot derive a slug, set front matter "slug"`);
+        }
+
+        const html = marked.parse(body);
+
+        return {
+            slug,
+            title: attributes.title,
+            date: attributes.date,
+            thumbnail: attributes.thumbnail || null,
+            tags: Array.isArray(attributes.tags) ? attributes.tags : (attributes.tags ? [attributes.tags] : []),
+            excerpt: attributes.excerpt || this.createExcerpt(html),
+            draft: attributes.draft === true,
+            html
+        };
+    }
+
+    /**
+     * Parse simple YAML front matter (key: value, [list], true/false)
+     */
+    parseFrontMatter(source, file) {
+        const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+        if (!match) {
+            throw new Error(`${file}: missing front matter block`);
+        }
+
+        const attributes = {};
+        match[1].split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf(':');
+            if (!line.trim() || line.trim().startsWith('#') || separator < 0) {
+                return;
+            }
+
+            const key = line.slice(0, separator).trim();
+            let value = line.slice(separator + 1).trim();
+
+            if (value.startsWith('[') && value.endsWith(']')) {
+                value = value.slice(1, -1).split(',').map(item => this.unquote(item.trim())).filter(Boolean);
+            } else if (value === 'true' || value === 'false') {
+                value = value === 'true';
+            } else {
+                value = this.unquote(value);
+            }
+            attributes[key] = value;
+        });
+
+        return { attributes, body: match[2] };
+    }
+
+    /**
+     * Lower-case a title or file name into a URL-safe slug ("Going Static!" -> "going-static")
+     */
+    slugify(text) {
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Remove matching surrounding quotes
+     */
+    unquote(value) {
+        return value.replace(/^(['"])(.*)\1$/, '$2');
+    }
+
+    /**
+     * Build a plain-text excerpt from rendered HTML
+     */
+    createExcerpt(html) {
+        const text = html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+        return text.length > this.excerptLength
+            ? `${text.slice(0, this.excerptLength).replace(/\s+\S*$/, '')}...`
+            : text;
+    }
+
+    /**
+     * Escape text for HTML output
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render the post fragment loaded into the post modal (via "<url> #post")
+     */
+    renderFragment(post) {
+        const thumbnail = post.thumbnail
+            ? `\n          <div class="post-thumbnail"><img src="${this.escapeHtml(post.thumbnail)}" alt=""></div>`
+            : '';
+        const tags = post.tags.length > 0
+            ? `<span class="slash"></span><span class="post-tags">${post.tags.map(tag => this.escapeHtml(tag)).join(', ')}</span>`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${this.escapeHtml(post.title)}</title>
+</head>
+<body>
+  <div id="post">
+    <section class="content">
+      <div class="block-content">
+        <div class="post" id="single-post">${thumbnail}
+          <div class="post-title">
+            <h2>${this.escapeHtml(post.title)}</h2>
+            <p class="post-info"><span class="post-date">${post.date}</span>${tags}</p>
+          </div>
+          <div class="post-body">
+${post.html}
+          </div>
+        </div>
+      </div>
+    </section>
+  </div>
+</body>
+</html>
+`;
+    }
+}
+
+if (require.main === module) {
+    new BlogBuilder().build();
+}
+
+module.exports = BlogBuilder;
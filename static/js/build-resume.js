@@ -0,0 +1,384 @@
+/**
+ * Résumé Builder
+ * Renders about-content.json and github-languages.json into a print-styled
+ * HTML résumé and a PDF in static/downloadable (or next to --out), fully offline (pure-JS PDF via pdfkit)
+ *
+ * Usage: node static/js/build-resume.js [--content file.json] [--out file.pdf] [--font file.ttf] [--html-only]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ShowcaseResolver = require('./showcase-resolver');
+
+class ResumeBuilder {
+    constructor(options = {}) {
+        this.dataDir = path.join(__dirname, '../data');
+        this.outputDir = path.join(__dirname, '../downloadable');
+        this.contentFile = options.content || path.join(this.dataDir, 'about-content.json');
+        this.languagesFile = path.join(this.dataDir, 'github-languages.json');
+        this.reposFile = path.join(this.dataDir, 'github-repos.json');
+        this.printStylesheet = path.join(__dirname, '../css/print.css');
+        this.pdfFile = options.out || path.join(this.outputDir, 'Xiangyu (Shawn) Xiao Resume.pdf');
+        // The HTML version is written next to the PDF (<name>.html when --out is given)
+        this.htmlFile = options.out
+            ? path.join(path.dirname(options.out), `${path.basename(options.out, path.extname(options.out))}.html`)
+            : path.join(this.outputDir, 'resume.html');
+        this.fontFile = options.font || null;
+        this.htmlOnly = Boolean(options.htmlOnly);
+
+        // Layout shared by the HTML (print.css) and PDF renderers
+        this.layout = {
+            margin: 42.5, // 15mm in points
+            accentColor: '#04d248',
+            textColor: '#333333',
+            mutedColor: '#727272',
+            ruleColor: '#dddddd'
+        };
+    }
+
+    /**
+     * Build the HTML and PDF résumé
+     */
+    async build() {
+        try {
+            console.log('📄 Building résumé...');
+            const data = this.loadData();
+
+            fs.mkdirSync(path.dirname(this.htmlFile), { recursive: true });
+
+            fs.writeFileSync(this.htmlFile, this.renderHtml(data));
+            console.log(`   📄 HTML: ${path.relative(process.cwd(), this.htmlFile)}`);
+
+            if (!this.htmlOnly) {
+                await this.renderPdf(data, this.pdfFile);
+                console.log(`   📄 PDF: ${path.relative(process.cwd(), this.pdfFile)}`);
+            }
+
+            console.log('✅ Résumé build complete!');
+        } catch (error) {
+            console.error('❌ Error building résumé:', error);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Load content and language data
+     */
+    loadData() {
+        const content = JSON.parse(fs.readFileSync(this.contentFile, 'utf8'));
+        const sections = content.sections || {};
+
+        let languages = [];
+        if (fs.existsSync(this.languagesFile)) {
+            languages = JSON.parse(fs.readFileSync(this.languagesFile, 'utf8')).languages || [];
+        } else {
+            console.warn('⚠️ github-languages.json not found, skills will be omitted');
+        }
+
+        // Showcase entries referencing a repository take missing fields from github-repos.json
+        const repositories = fs.existsSync(this.reposFile)
+            ? JSON.parse(fs.readFileSync(this.reposFile, 'utf8')).repositories
+            : {};
+
+        return {
+            info: sections.personalInfo || {},
+            summary: sections.whoAmI?.content || [],
+            knowHow: sections.knowHow || [],
+            showcase: new ShowcaseResolver(repositories).resolveAll(sections.showcase),
+            experience: sections.experience || [],
+            education: sections.education || [],
+            languages: languages.map(lang => ({
+                name: lang.name,
+                percent: Math.round(lang.percent)
+            })),
+            punctuation: content.styling?.punctuationRule?.enabled
+                ? content.styling.punctuationRule.characters
+                : []
+        };
+    }
+
+    /**
+     * Escape text for HTML output
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Escape text and wrap punctuation in the highlight class, like ContentManager
+     */
+    highlight(text, punctuation) {
+        return Array.from(String(text ?? '')).map(char => {
+            const escaped = this.escapeHtml(char);
+            return punctuation.includes(char)
+                ? `<span class="punctuation-highlight">${escaped}</span>`
+                : escaped;
+        }).join('');
+    }
+
+    /**
+     * Render a timeline entry (.exp) shared by showcase, experience and education
+     */
+    renderEntryHtml(title, subtitle, details, punctuation) {
+        const subtitleHtml = subtitle ? `<h5>${this.highlight(subtitle, punctuation)}</h5>` : '';
+        const detailsHtml = details.length > 0
+            ? `<ul>${details.map(detail => `<li>${this.highlight(detail, punctuation)}</li>`).join('')}</ul>`
+            : '';
+
+        return `
+          <div class="exp">
+            <div class="hgroup"><h4>${title}</h4>${subtitleHtml}</div>
+            ${detailsHtml}
+          </div>`;
+    }
+
+    /**
+     * Render the print-styled HTML résumé
+     */
+    renderHtml(data) {
+        const { info, punctuation } = data;
+        const stylesheet = path.relative(path.dirname(this.htmlFile), this.printStylesheet).split(path.sep).join('/');
+        const contact = [info.email, ...(info.phones || [])].filter(Boolean)
+            .map(item => this.highlight(item, punctuation))
+            .join(' <span class="punctuation-highlight">·</span> ');
+
+        const skillsHtml = data.languages.map(lang => `
+            <label class="progress-bar-label">${this.escapeHtml(lang.name)} ${lang.percent}%</label>
+            <div class="progress"><div class="progress-bar" style="width: ${lang.percent}%;"></div></div>`).join('');
+
+        const showcaseHtml = data.showcase.map(project => this.renderEntryHtml(
+            `<a href="${this.escapeHtml(project.url)}">${this.escapeHtml(project.title)}</a>` +
+                (project.description ? `<span class="punctuation-highlight">:</span> ${this.escapeHtml(project.description)}` : ''),
+            null,
+            project.details || [],
+            punctuation
+        )).join('');
+
+        const experienceHtml = data.experience.map(exp => this.renderEntryHtml(
+            this.escapeHtml(exp.title),
+            exp.period,
+            exp.details || [],
+            punctuation
+        )).join('');
+
+        const educationHtml = data.education.map(edu => this.renderEntryHtml(
+            `${this.escapeHtml(edu.degree)} <span class="punctuation-highlight">–</span> ${this.escapeHtml(edu.institution)}`,
+            edu.period,
+            [],
+            punctuation
+        )).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${this.escapeHtml(info.legalName)} | Résumé</title>
+  <link rel="stylesheet" href="${stylesheet}" type="text/css" />
+</head>
+<body>
+  <section class="content" id="about">
+    <header class="resume-header">
+      <h1>${this.escapeHtml(info.legalName)}${info.preferredName ? ` (${this.escapeHtml(info.preferredName)})` : ''}</h1>
+      <p class="resume-contact">${contact}</p>
+    </header>
+
+    <div class="block-content">
+      <h3 class="block-title">Who am I</h3>
+      ${data.summary.map(line => `<div>${this.highlight(line, punctuation)}</div>`).join('\n      ')}
+    </div>
+
+    <div class="block-content">
+      <h3 class="block-title">Skills</h3>
+      <div id="technical-skills">${skillsHtml}
+      </div>
+      <ul class="icon-list">${data.knowHow.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
+    </div>
+
+    <div class="block-content">
+      <h3 class="block-title">Experience</h3>
+      <div class="timeline experience"><div class="exp-holder">${experienceHtml}
+      </div></div>
+    </div>
+
+    <div class="block-content">
+      <h3 class="block-title">Showcase</h3>
+      <div class="timeline proj"><div class="exp-holder">${showcaseHtml}
+      </div></div>
+    </div>
+
+    <div class="block-content">
+      <h3 class="block-title">Education</h3>
+      <div class="timeline education"><div class="exp-holder">${educationHtml}
+      </div></div>
+    </div>
+  </section>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render the PDF with the same structure as the HTML résumé
+     */
+    renderPdf(data, file) {
+        const PDFDocument = require('pdfkit');
+        const { margin } = this.layout;
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin,
+            info: {
+                Title: `${data.info.legalName} Résumé`,
+                Author: data.info.legalName
+            }
+        });
+
+        this.fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+        if (this.fontFile) {
+            doc.registerFont('Custom', this.fontFile);
+            this.fonts = { regular: 'Custom', bold: 'Custom' };
+        }
+
+        return new Promise((resolve, reject) => {
+            const stream = fs.createWriteStream(file);
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+            doc.pipe(stream);
+
+            this.renderPdfHeader(doc, data.info);
+
+            this.renderPdfSectionTitle(doc, 'Who am I');
+            data.summary.forEach(line => this.renderPdfText(doc, line, { fontSize: 10 }));
+
+            this.renderPdfSectionTitle(doc, 'Skills');
+            this.renderPdfSkills(doc, data.languages);
+            if (data.knowHow.length > 0) {
+                this.renderPdfText(doc, data.knowHow.join('  ·  '), { fontSize: 10, color: this.layout.mutedColor });
+            }
+
+            this.renderPdfSectionTitle(doc, 'Experience');
+            data.experience.forEach(exp => this.renderPdfEntry(doc, exp.title, exp.period, exp.details || []));
+
+            this.renderPdfSectionTitle(doc, 'Showcase');
+            data.showcase.forEach(project => this.renderPdfEntry(
+                doc, project.description ? `${project.title}: ${project.description}` : project.title, null, project.details || [], project.url
+            ));
+
+            this.renderPdfSectionTitle(doc, 'Education');
+            data.education.forEach(edu => this.renderPdfEntry(doc, `${edu.degree} – ${edu.institution}`, edu.period, []));
+
+            doc.end();
+        });
+    }
+
+    /**
+     * Name and contact line
+     */
+    renderPdfHeader(doc, info) {
+        const name = info.preferredName ? `${info.legalName} (${info.preferredName})` : info.legalName;
+        doc.font(this.fonts.bold).fontSize(22).fillColor(this.layout.textColor).text(name);
+        doc.moveDown(0.2);
+        doc.font(this.fonts.regular).fontSize(10).fillColor(this.layout.mutedColor)
+            .text([info.email, ...(info.phones || [])].filter(Boolean).join('  ·  '));
+        doc.moveDown(1);
+    }
+
+    /**
+     * Uppercase section title with a dashed rule, as .block-title
+     */
+    renderPdfSectionTitle(doc, title) {
+        this.ensureSpace(doc, 60);
+        doc.moveDown(0.6);
+        doc.font(this.fonts.bold).fontSize(12).fillColor(this.layout.textColor).text(title.toUpperCase());
+
+        const y = doc.y + 2;
+        doc.save()
+            .moveTo(doc.page.margins.left, y)
+            .lineTo(doc.page.width - doc.page.margins.right, y)
+            .dash(2, { space: 2 })
+            .strokeColor(this.layout.ruleColor)
+            .lineWidth(0.75)
+            .stroke()
+            .restore();
+        doc.y = y + 8;
+    }
+
+    /**
+     * Plain paragraph text
+     */
+    renderPdfText(doc, text, { fontSize = 10, color = this.layout.textColor } = {}) {
+        doc.font(this.fonts.regular).fontSize(fontSize).fillColor(color).text(text);
+        doc.moveDown(0.2);
+    }
+
+    /**
+     * Skill bars, as #technical-skills in print.css
+     */
+    renderPdfSkills(doc, languages) {
+        const left = doc.page.margins.left;
+        const width = (doc.page.width - left - doc.page.margins.right) / 2;
+
+        languages.forEach(lang => {
+            this.ensureSpace(doc, 24);
+            doc.font(this.fonts.bold).fontSize(10).fillColor(this.layout.textColor).text(`${lang.name} ${lang.percent}%`);
+            const y = doc.y + 2;
+            doc.rect(left, y, width, 2).fill(this.layout.ruleColor);
+            doc.rect(left, y, width * lang.percent / 100, 2).fill(this.layout.accentColor);
+            doc.y = y + 8;
+        });
+        doc.moveDown(0.3);
+    }
+
+    /**
+     * Timeline entry: bold title, muted period, bullet details
+     */
+    renderPdfEntry(doc, title, period, details, link = null) {
+        this.ensureSpace(doc, 50);
+        doc.font(this.fonts.bold).fontSize(11).fillColor(this.layout.textColor).text(title, link ? { link } : {});
+
+        if (period) {
+            doc.font(this.fonts.regular).fontSize(9.5).fillColor(this.layout.mutedColor).text(period);
+        }
+
+        doc.font(this.fonts.regular).fontSize(10).fillColor(this.layout.textColor);
+        details.forEach(detail => {
+            doc.moveDown(0.15);
+            doc.text(`•  ${detail}`, { indent: 0, paragraphGap: 0 });
+        });
+        doc.moveDown(0.6);
+    }
+
+    /**
+     * Start a new page if fewer than `height` points remain
+     */
+    ensureSpace(doc, height) {
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+    }
+}
+
+/**
+ * Parse CLI flags
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--html-only') {
+            options.htmlOnly = true;
+        } else if (['--content', '--out', '--font'].includes(arg)) {
+            options[arg.slice(2)] = path.resolve(argv[++i]);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    new ResumeBuilder(parseArgs(process.argv.slice(2))).build();
+}
+
+module.exports = ResumeBuilder;
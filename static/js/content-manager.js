@@ -3,8 +3,15 @@
  */
 class ContentManager {
     constructor() {
+        this.data = null;
         this.contentData = null;
         this.stylingRules = null;
+        this.defaultContentUrl = '../data/about-content.json';
+        this.schemaUrl = '../data/about-content.schema.json';
+        this.repoDataUrl = '../data/github-repos.json';
+        this.showcaseResolver = null;
+        this.validationErrors = [];
+        this.ready = window.lifecycle.whenSettled('content:rendered', 'content:error');
     }
 
     /**
@@ -12,13 +19,19 @@ class ContentManager {
      */
     async loadContentData() {
         try {
-            const response = await fetch('../data/about-content.json');
+            let response = await fetch(this.getContentUrl());
+            if (!response.ok && this.getContentUrl() !== this.defaultContentUrl) {
+                console.warn(`No content for locale "${window.i18n.locale}", falling back to default content`);
+                response = await fetch(this.defaultContentUrl);
+            }
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const data = await response.json();
-            this.contentData = data.sections;
-            this.stylingRules = data.styling;
+            await this.validateContentData(data);
+            this.data = data;
+            this.contentData = data?.sections || null;
+            this.stylingRules = data?.styling || null;
             return data;
         } catch (error) {
             console.error('Failed to load content data:', error);
@@ -26,6 +39,148 @@ class ContentManager {
         }
     }
 
+    /**
+     * Load the repository metadata referenced by showcase entries (optional)
+     */
+    async loadRepositoryData() {
+        try {
+            const response = await fetch(this.repoDataUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.showcaseResolver = new ShowcaseResolver(data.repositories);
+            return data;
+        } catch (error) {
+            // Not generated yet (or disabled with --no-featured): showcase uses hand-written values only
+            console.log('ℹ️ Repository metadata unavailable:', error.message);
+            this.showcaseResolver = new ShowcaseResolver();
+            return null;
+        }
+    }
+
+    /**
+     * Showcase entries with repository metadata merged in
+     */
+    getShowcase() {
+        const resolver = this.showcaseResolver || new ShowcaseResolver();
+        return resolver.resolveAll(this.contentData?.showcase);
+    }
+
+    /**
+     * Get the content file for the active locale
+     */
+    getContentUrl() {
+        return window.i18n ? window.i18n.getContentUrl() : this.defaultContentUrl;
+    }
+
+    /**
+     * Validate content data against the JSON schema and report every failing field
+     */
+    async validateContentData(data) {
+        if (typeof ContentValidator === 'undefined') {
+            console.warn('ContentValidator not loaded, skipping content validation');
+            return true;
+        }
+
+        try {
+            const response = await fetch(this.schemaUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const schema = this.extendSchemaWithSections(await response.json());
+            this.validationErrors = new ContentValidator(schema).validate(data);
+        } catch (error) {
+            console.warn('Failed to load content schema, skipping validation:', error);
+            return true;
+        }
+
+        if (this.validationErrors.length === 0) {
+            return true;
+        }
+
+        console.error(`about-content.json has ${this.validationErrors.length} validation error(s):`);
+        this.validationErrors.forEach(error => {
+            console.error(`  ${error.path}: ${error.message}`);
+        });
+
+        if (this.isDevMode()) {
+            this.renderDiagnosticPanel(this.validationErrors);
+        }
+        return false;
+    }
+
+    /**
+     * Allow sections registered at runtime that the schema file does not describe
+     */
+    extendSchemaWithSections(schema) {
+        const sectionProperties = schema?.properties?.sections?.properties;
+        if (!sectionProperties) {
+            return schema;
+        }
+
+        ContentManager.sectionRegistry.forEach((section, key) => {
+            if (section.schema) {
+                sectionProperties[key] = section.schema;
+            } else if (!sectionProperties[key]) {
+                sectionProperties[key] = {};
+            }
+        });
+        return schema;
+    }
+
+    /**
+     * Check if running in local development (or with ?debug in the URL)
+     */
+    isDevMode() {
+        return window.location.hostname === 'localhost' ||
+               window.location.hostname === '127.0.0.1' ||
+               new URLSearchParams(window.location.search).has('debug');
+    }
+
+    /**
+     * Render a visible panel listing validation errors (dev mode only)
+     */
+    renderDiagnosticPanel(errors) {
+        let panel = document.getElementById('content-diagnostics');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'content-diagnostics';
+            panel.className = 'content-diagnostics';
+            panel.setAttribute('role', 'alert');
+            document.body.appendChild(panel);
+        }
+        panel.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'content-diagnostics-header';
+
+        const title = document.createElement('strong');
+        title.textContent = `about-content.json: ${errors.length} validation error(s)`;
+        header.appendChild(title);
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'content-diagnostics-close';
+        closeButton.setAttribute('aria-label', 'Dismiss diagnostics');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => panel.remove());
+        header.appendChild(closeButton);
+
+        panel.appendChild(header);
+
+        const list = document.createElement('ul');
+        errors.forEach(error => {
+            const li = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = error.path;
+            li.appendChild(code);
+            li.appendChild(document.createTextNode(` ${error.message}`));
+            list.appendChild(li);
+        });
+        panel.appendChild(list);
+    }
+
     /**
      * Apply styling using DOM manipulation instead of innerHTML
      */
@@ -161,10 +316,10 @@ class ContentManager {
 
         // Create list items
         const items = [
-            { label: 'Legal Name', value: info.legalName },
-            { label: 'Preferred Name', value: info.preferredName },
-            { label: 'Date of birth', value: info.dateOfBirth },
-            { label: 'Email', value: info.email, isEmail: true }
+            { label: t('personalInfo.legalName', 'Legal Name'), value: info.legalName },
+            { label: t('personalInfo.preferredName', 'Preferred Name'), value: info.preferredName },
+            { label: t('personalInfo.dateOfBirth', 'Date of birth'), value: info.dateOfBirth },
+            { label: t('personalInfo.email', 'Email'), value: info.email, isEmail: true }
         ];
 
         items.forEach(item => {
@@ -189,7 +344,7 @@ class ContentManager {
         if (info.phones && info.phones.length > 0) {
             const phoneLi = document.createElement('li');
             const phoneStrong = document.createElement('strong');
-            phoneStrong.textContent = 'Phone : ';
+            phoneStrong.textContent = `${t('personalInfo.phone', 'Phone')} : `;
             phoneLi.appendChild(phoneStrong);
             
             info.phones.forEach((phone, index) => {
@@ -282,7 +437,7 @@ class ContentManager {
 
         container.innerHTML = '';
 
-        this.contentData.showcase.forEach(project => {
+        this.getShowcase().forEach(project => {
             const expDiv = document.createElement('div');
             expDiv.className = 'exp animated fadeInUp';
             
@@ -299,13 +454,18 @@ class ContentManager {
             
             h4.appendChild(projectLink);
             
-            const colon = document.createElement('span');
-            colon.className = 'punctuation-highlight';
-            colon.textContent = ':';
-            h4.appendChild(colon);
-            
-            h4.appendChild(document.createTextNode(` ${project.description}`));
+            if (project.description) {
+                const colon = document.createElement('span');
+                colon.className = 'punctuation-highlight';
+                colon.textContent = ':';
+                h4.appendChild(colon);
+                
+                h4.appendChild(document.createTextNode(` ${project.description}`));
+            }
             hgroup.appendChild(h4);
+            if (project.metadata) {
+                hgroup.appendChild(this.createRepositoryMeta(project.metadata));
+            }
             expDiv.appendChild(hgroup);
             
             // Create details
@@ -326,6 +486,41 @@ class ContentManager {
         console.log('Showcase section rendered successfully');
     }
 
+    /**
+     * Live repository badges for a showcase entry: language dot, stars and last push
+     */
+    createRepositoryMeta(metadata) {
+        const meta = document.createElement('p');
+        meta.className = 'repo-meta';
+
+        if (metadata.language) {
+            const language = document.createElement('span');
+            language.className = 'repo-language';
+            const dot = document.createElement('span');
+            dot.className = 'repo-language-dot';
+            dot.style.backgroundColor = metadata.languageColor || '#ccc';
+            language.appendChild(dot);
+            language.appendChild(document.createTextNode(metadata.language));
+            meta.appendChild(language);
+        }
+
+        const stars = document.createElement('span');
+        stars.className = 'repo-stars';
+        stars.title = t('showcase.stars', 'Stars');
+        stars.textContent = `★ ${metadata.stars.toLocaleString()}`;
+        meta.appendChild(stars);
+
+        if (metadata.pushedAt) {
+            const updated = document.createElement('span');
+            updated.className = 'repo-updated';
+            const date = new Date(metadata.pushedAt).toLocaleDateString(document.documentElement.lang || undefined);
+            updated.textContent = `${t('showcase.updated', 'Updated')} ${date}`;
+            meta.appendChild(updated);
+        }
+
+        return meta;
+    }
+
     /**
      * Render experience section
      */
@@ -469,38 +664,137 @@ class ContentManager {
     }
 
     /**
-     * Initialize
+     * Download the loaded content as a JSON Resume document
+     */
+    exportJsonResume() {
+        if (!this.data || typeof JsonResumeConverter === 'undefined') {
+            console.error('Cannot export résumé: content or JsonResumeConverter not loaded');
+            return;
+        }
+
+        const content = { ...this.data, sections: { ...this.data.sections, showcase: this.getShowcase() } };
+        const resume = new JsonResumeConverter().toJsonResume(content);
+        const blob = new Blob([JSON.stringify(resume, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'resume.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Register a renderer for a key in data.sections
+     * @param {string} key - Section key in about-content.json
+     * @param {Object} options - { selector, render, schema }
+     *   selector: optional CSS selector of the container passed to render
+     *   render: function(data, container, manager), called with the manager as this
+     *   schema: optional JSON schema for the section data (used by validation)
+     */
+    static registerSection(key, { selector = null, render, schema = null } = {}) {
+        if (typeof render !== 'function') {
+            throw new Error(`Section "${key}" must provide a render function`);
+        }
+        if (ContentManager.sectionRegistry.has(key)) {
+            console.warn(`Section "${key}" is already registered, replacing renderer`);
+        }
+        ContentManager.sectionRegistry.set(key, { selector, render, schema });
+    }
+
+    /**
+     * Instance shortcut, since window.ContentManager holds the instance after load
+     */
+    registerSection(key, options) {
+        ContentManager.registerSection(key, options);
+    }
+
+    /**
+     * Render every section present in the data, in JSON order
+     */
+    renderSections() {
+        Object.keys(this.contentData).forEach(key => {
+            const section = ContentManager.sectionRegistry.get(key);
+            if (!section) {
+                console.warn(`No renderer registered for section "${key}", skipping`);
+                return;
+            }
+
+            let container = null;
+            if (section.selector) {
+                container = document.querySelector(section.selector);
+                if (!container) {
+                    console.error(`Container "${section.selector}" for section "${key}" not found`);
+                    return;
+                }
+            }
+
+            try {
+                section.render.call(this, this.contentData[key], container, this);
+            } catch (error) {
+                console.error(`Failed to render section "${key}":`, error);
+            }
+        });
+    }
+
+    /**
+     * Initialize (called once the DOM is ready, and again on locale change)
      */
     async init() {
         console.log('Content Manager: Initializing...');
-        await this.loadContentData();
+        const [data] = await Promise.all([this.loadContentData(), this.loadRepositoryData()]);
         
         if (!this.contentData) {
             console.error('Failed to load content data');
+            window.lifecycle.emit('content:error', { error: new Error('Failed to load content data') });
             return;
         }
 
+        window.lifecycle.emit('content:loaded', {
+            data,
+            showcase: this.getShowcase(),
+            validationErrors: this.validationErrors
+        });
+
         console.log('Data loaded, rendering all sections...');
         console.log('Content data:', this.contentData);
-        
-        // Wait for DOM to be ready
-        setTimeout(() => {
-            this.renderWhoAmISection();
-            this.renderPersonalInfoSection();
-            this.renderKnowHowSection();
-            this.renderShowcaseSection();
-            this.renderExperienceSection();
-            this.renderEducationSection();
-            console.log('All sections rendered successfully');
-        }, 500);
+
+        this.renderSections();
+        console.log('All sections rendered successfully');
+
+        window.lifecycle.emit('content:rendered', { sections: Object.keys(this.contentData) });
     }
 }
 
+ContentManager.sectionRegistry = new Map();
+
+// Built-in sections
+ContentManager.registerSection('whoAmI', { render() { this.renderWhoAmISection(); } });
+ContentManager.registerSection('personalInfo', { render() { this.renderPersonalInfoSection(); } });
+ContentManager.registerSection('knowHow', { render() { this.renderKnowHowSection(); } });
+ContentManager.registerSection('showcase', { render() { this.renderShowcaseSection(); } });
+ContentManager.registerSection('experience', { render() { this.renderExperienceSection(); } });
+ContentManager.registerSection('education', { render() { this.renderEducationSection(); } });
+
 // Global instance
 window.ContentManager = ContentManager;
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
     window.ContentManager = new ContentManager();
+
+    const exportButton = document.getElementById('export-resume');
+    if (exportButton) {
+        exportButton.addEventListener('click', event => {
+            event.preventDefault();
+            window.ContentManager.exportJsonResume();
+        });
+    }
+
+    // Reload the content file of the new locale
+    document.addEventListener('locale:changed', () => window.ContentManager.init());
+
     await window.ContentManager.init();
 });
@@ -0,0 +1,227 @@
+/**
+ * Content Validator - Lightweight JSON Schema checker for about-content.json
+ * Supports the subset of draft-07 used by about-content.schema.json and runs
+ * unchanged in the browser (ContentManager) and in Node (validate-content.js)
+ */
+
+class ContentValidator {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validate data against the schema
+     * @param {*} data - Parsed JSON content
+     * @param {Object} [schema] - Schema node (defaults to the whole schema)
+     * @returns {Array} List of { path, message } errors, empty when valid
+     */
+    validate(data, schema = this.schema) {
+        const errors = [];
+        this.validateNode(data, schema, '', errors);
+        return errors;
+    }
+
+    /**
+     * Recursively validate a value against a schema node
+     */
+    validateNode(value, schema, path, errors) {
+        if (!schema) {
+            return;
+        }
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            errors.push({
+                path: path || '(root)',
+                message: `expected ${schema.type} but found ${this.describeType(value)}`
+            });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({
+                path: path || '(root)',
+                message: `must be one of: ${schema.enum.join(', ')}`
+            });
+        }
+
+        if (schema.anyOf && !schema.anyOf.some(option => this.validate(value, option).length === 0)) {
+            errors.push({
+                path: path || '(root)',
+                message: `must match one of: ${schema.anyOf.map(option => this.describeOption(option)).join(' | ')}`
+            });
+        }
+
+        if (typeof value === 'string') {
+            this.validateString(value, schema, path, errors);
+        } else if (Array.isArray(value)) {
+            this.validateArray(value, schema, path, errors);
+        } else if (value !== null && typeof value === 'object') {
+            this.validateObject(value, schema, path, errors);
+        }
+    }
+
+    /**
+     * Validate string constraints
+     */
+    validateString(value, schema, path, errors) {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({
+                path,
+                message: schema.minLength === 1
+                    ? 'must not be empty'
+                    : `must be at least ${schema.minLength} characters`
+            });
+        }
+
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `"${value}" does not match pattern ${schema.pattern}` });
+        }
+    }
+
+    /**
+     * Validate array constraints and items
+     */
+    validateArray(value, schema, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+        }
+
+        if (schema.items) {
+            value.forEach((item, index) => {
+                this.validateNode(item, schema.items, `${path}[${index}]`, errors);
+            });
+        }
+    }
+
+    /**
+     * Validate required keys, known properties and unexpected keys
+     */
+    validateObject(value, schema, path, errors) {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: this.joinPath(path, key), message: 'is required but missing' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const childPath = this.joinPath(path, key);
+
+            if (properties[key]) {
+                this.validateNode(value[key], properties[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                const suggestion = this.suggestKey(key, Object.keys(properties));
+                errors.push({
+                    path: childPath,
+                    message: suggestion
+                        ? `is not an allowed property (did you mean "${suggestion}"?)`
+                        : 'is not an allowed property'
+                });
+            } else if (typeof schema.additionalProperties === 'object') {
+                this.validateNode(value[key], schema.additionalProperties, childPath, errors);
+            }
+        });
+    }
+
+    /**
+     * Summarize an anyOf alternative for error messages
+     */
+    describeOption(option) {
+        if (option.required) {
+            return `has ${option.required.join(', ')}`;
+        }
+        return option.type || 'schema';
+    }
+
+    /**
+     * Check a value against a JSON Schema type (or list of types)
+     */
+    matchesType(value, type) {
+        const types = Array.isArray(type) ? type : [type];
+        return types.some(t => {
+            switch (t) {
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'array': return Array.isArray(value);
+                case 'string': return typeof value === 'string';
+                case 'boolean': return typeof value === 'boolean';
+                case 'number': return typeof value === 'number' && isFinite(value);
+                case 'integer': return Number.isInteger(value);
+                case 'null': return value === null;
+                default: return true;
+            }
+        });
+    }
+
+    /**
+     * Describe the JSON type of a value for error messages
+     */
+    describeType(value) {
+        if (value === undefined) return 'nothing';
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Build a dotted field path
+     */
+    joinPath(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * Suggest the closest known key for a likely typo
+     */
+    suggestKey(key, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        candidates.forEach(candidate => {
+            const distance = this.editDistance(key.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     */
+    editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(
+                    row[j] + 1,
+                    row[j - 1] + 1,
+                    previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                previous = current;
+            }
+        }
+
+        return row[b.length];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentValidator;
+}
+
+// Export for global usage
+if (typeof window !== 'undefined') {
+    window.ContentValidator = ContentValidator;
+}
@@ -0,0 +1,97 @@
+/**
+ * JSON Resume Converter CLI
+ * Exports about-content.json as a JSON Resume document, or imports a JSON Resume
+ * document into about-content.json format (validated against the content schema)
+ *
+ * Usage:
+ *   node static/js/convert-resume.js export [about-content.json] [resume.json]
+ *   node static/js/convert-resume.js import <resume.json> [about-content.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JsonResumeConverter = require('./json-resume');
+const ContentValidator = require('./content-validator');
+const ShowcaseResolver = require('./showcase-resolver');
+
+const dataDir = path.join(__dirname, '../data');
+const defaultContentFile = path.join(dataDir, 'about-content.json');
+const reposFile = path.join(dataDir, 'github-repos.json');
+const defaultResumeFile = path.join(__dirname, '../downloadable/resume.json');
+
+/**
+ * Read and parse a JSON file
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write pretty-printed JSON, creating the directory if needed
+ */
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Export about-content.json to JSON Resume
+ */
+function exportResume(contentFile = defaultContentFile, resumeFile = defaultResumeFile) {
+    const content = readJson(contentFile);
+    if (content.sections) {
+        // Fill showcase fields left to the referenced GitHub repository
+        const repositories = fs.existsSync(reposFile) ? readJson(reposFile).repositories : {};
+        content.sections.showcase = new ShowcaseResolver(repositories).resolveAll(content.sections.showcase);
+    }
+
+    const converter = new JsonResumeConverter();
+    const resume = converter.toJsonResume(content);
+
+    writeJson(resumeFile, resume);
+    console.log(`✅ Exported ${path.relative(process.cwd(), contentFile)} → ${path.relative(process.cwd(), resumeFile)}`);
+}
+
+/**
+ * Import a JSON Resume document into about-content.json format
+ */
+function importResume(resumeFile, contentFile = defaultContentFile) {
+    if (!resumeFile) {
+        throw new Error('Missing JSON Resume file to import');
+    }
+
+    // Keep the styling rules and whoAmI title of the file being replaced
+    const existing = fs.existsSync(contentFile) ? readJson(contentFile) : {};
+
+    const converter = new JsonResumeConverter();
+    const content = converter.fromJsonResume(readJson(resumeFile), existing);
+
+    const schema = readJson(path.join(dataDir, 'about-content.schema.json'));
+    const errors = new ContentValidator(schema).validate(content);
+    if (errors.length > 0) {
+        console.warn(`⚠️ Imported content has ${errors.length} validation problem(s), fix them before publishing:`);
+        errors.forEach(error => console.warn(`   - ${error.path}: ${error.message}`));
+    }
+
+    writeJson(contentFile, content);
+    console.log(`✅ Imported ${path.relative(process.cwd(), resumeFile)} → ${path.relative(process.cwd(), contentFile)}`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const resolved = args.map(arg => path.resolve(arg));
+
+try {
+    if (command === 'export') {
+        exportResume(...resolved);
+    } else if (command === 'import') {
+        importResume(...resolved);
+    } else {
+        console.log('Usage:');
+        console.log('  node static/js/convert-resume.js export [about-content.json] [resume.json]');
+        console.log('  node static/js/convert-resume.js import <resume.json> [about-content.json]');
+        process.exit(command ? 1 : 0);
+    }
+} catch (error) {
+    console.error('❌ Conversion failed:', error.message);
+    process.exit(1);
+}
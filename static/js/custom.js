@@ -2,16 +2,16 @@ function callGreet () {
     var today = new Date();
     var hourNow = today.getHours();
     var greeting;
-
     if (hourNow >= 18) {
-        greeting = "Good evening";
+        greeting = t("greeting.evening", "Good evening");
     } else if (hourNow > 12 && hourNow < 18) {
-        greeting = "Good afternoon";
+        greeting = t("greeting.afternoon", "Good afternoon");
     } else if (hourNow > 0 && hourNow < 12) {
-        greeting = "Good morning";
+        greeting = t("greeting.morning", "Good morning");
     } else {
-        greeting = "Hello";
+        greeting = t("greeting.default", "Hello");
     }
-    document.getElementById("greetings").innerHTML = greeting;
+    document.getElementById("greetings").textContent = greeting;
 };
 callGreet();
+document.addEventListener("locale:changed", callGreet);
@@ -2,27 +2,109 @@
  * GitHub Language Data Generator
  * This script runs locally to fetch language data using GitHub API with authentication
  * and generates static JSON files that can be served by GitHub Pages
+ *
+ * Settings come from the "languages" section of portfolio.config.json, overridden by
+ * environment variables and then CLI flags (run with --help for the list).
  */
 
 const { Octokit } = require('@octokit/core');
 const fs = require('fs');
 const path = require('path');
+const ActivityCollector = require('./github-activity-collector');
+const RepositoryCollector = require('./github-repo-collector');
 require('dotenv').config();
 
 class LanguageDataGenerator {
-    constructor() {
+    /**
+     * @param {Object} [options] - Settings, usually from LanguageDataGenerator.loadConfig(); see LanguageDataGenerator.defaults
+     * @param {string} [options.token] - GitHub token (defaults to env git_token or GITHUB_TOKEN)
+     * @param {string} [options.baseUrl] - REST API base URL, e.g. a local mock server (defaults to env GITHUB_API_URL)
+     * @param {Function} [options.transport] - Replaces octokit.request(route, params), e.g. an offline fake
+     * @param {string} [options.username] - User whose contributions are counted
+     * @param {string[]} [options.owners] - Users/organizations whose own repositories are all counted (defaults to [username])
+     * @param {string[]} [options.orgs] - Organizations where repositories the user merged pull requests into are counted
+     * @param {string[]} [options.repositories] - Extra owner/name repositories that are always counted unless excluded
+     * @param {string[]} [options.include] - owner/name patterns (* wildcard) a repository must match
+     * @param {string[]} [options.exclude] - owner/name patterns (* wildcard) that drop a repository
+     * @param {boolean} [options.includeForks] - Count forked repositories
+     * @param {string} [options.archived] - "include", "exclude" or "only" archived repositories
+     * @param {number} [options.minPercent] - Drop languages below this share
+     * @param {number} [options.maxLanguages] - Keep at most this many languages
+     * @param {Object} [options.rules] - Language rules applied before percentages are computed:
+     *   exclude (linguist names to drop), groups ({ "Label": ["Linguist", ...] }) and rename ({ "Linguist": "Label" })
+     * @param {Object} [options.weighting] - { model: "bytes" | "repos" | "recency" | "commits" | "stars", halfLifeDays }
+     * @param {string} [options.outputDir] - Directory the JSON files are written to
+     * @param {number} [options.historyLimit] - Snapshots kept in github-languages-history.json
+     * @param {Object} [options.activity] - { enabled, years }: contribution statistics written to github-activity.json
+     * @param {Object} [options.featured] - { enabled, pinned, repositories }: repository card metadata written to github-repos.json
+     * @param {number} [options.concurrency] - Parallel language requests
+     * @param {number} [options.maxRetries] - Retries for rate-limited and 5xx responses
+     * @param {number} [options.retryDelay] - Base delay in ms for 5xx exponential backoff
+     * @param {boolean} [options.useCache] - Reuse cached languages for unchanged repositories (default true)
+     * @param {string} [options.cacheFile] - Per-repository cache, kept out of the committed data directory
+     */
+    constructor(options = {}) {
+        const config = { ...LanguageDataGenerator.defaults, ...options };
+        const token = config.token || process.env.git_token || process.env.GITHUB_TOKEN;
+
         // Validate that we have a token
-        if (!process.env.git_token) {
-            throw new Error('GitHub token (git_token) is required but not found in environment variables');
+        if (!token) {
+            throw new Error('GitHub token (git_token or GITHUB_TOKEN) is required but not found in environment variables');
+        }
+        if (!['include', 'exclude', 'only'].includes(config.archived)) {
+            throw new Error(`archived must be "include", "exclude" or "only", got "${config.archived}"`);
         }
         
         this.octokit = new Octokit({
-            auth: process.env.git_token
+            auth: token,
+            baseUrl: config.baseUrl || process.env.GITHUB_API_URL || 'https://api.github.com'
         });
-        this.outputDir = path.join(__dirname, '../data');
-        this.username = 'ShawnXxy';
+        this.transport = config.transport || ((route, params) => this.octokit.request(route, params));
+        this.outputDir = config.outputDir;
+        this.cacheFile = config.cacheFile;
+        this.historyFile = path.join(this.outputDir, 'github-languages-history.json');
+        this.historyLimit = config.historyLimit;
+        this.activityFile = path.join(this.outputDir, 'github-activity.json');
+        this.activity = { ...LanguageDataGenerator.defaults.activity, ...config.activity };
+        this.featuredFile = path.join(this.outputDir, 'github-repos.json');
+        this.featured = { ...LanguageDataGenerator.defaults.featured, ...config.featured };
+        this.useCache = config.useCache !== false;
+        this.username = config.username;
+
+        // Accounts (users or organizations) whose own repositories are all counted
+        this.owners = config.owners && config.owners.length > 0 ? config.owners : [this.username];
+        // Organizations where only repositories the user has merged pull requests into are counted
+        this.orgs = config.orgs;
+        // Individual repositories to count regardless of owner (owner/name)
+        this.extraRepos = config.repositories;
+
+        // Repository filters
+        this.include = config.include.map(pattern => this.toPattern(pattern));
+        this.exclude = config.exclude.map(pattern => this.toPattern(pattern));
+        this.includeForks = config.includeForks;
+        this.archived = config.archived;
+
+        // Language rules and cut-offs
+        this.rules = this.normalizeRules(config.rules);
+        this.weighting = this.normalizeWeighting(config.weighting);
+        this.minPercent = config.minPercent;
+        this.maxLanguages = config.maxLanguages;
+        this.filters = {
+            include: config.include,
+            exclude: config.exclude,
+            includeForks: config.includeForks,
+            archived: config.archived,
+            minPercent: config.minPercent,
+            maxLanguages: config.maxLanguages
+        };
+
+        this.concurrency = config.concurrency;
+        this.maxRetries = config.maxRetries;
+        this.retryDelay = config.retryDelay;
+        // Latest rate-limit state read from response headers
+        this.rateLimit = { limit: null, remaining: null, reset: null };
         
-        console.log(`🔑 Using GitHub API with token: ${process.env.git_token.substring(0, 8)}...`);
+        console.log(`🔑 Using GitHub API with token: ${token.substring(0, 8)}...`);
     }
 
     /**
@@ -42,18 +124,29 @@ class LanguageDataGenerator {
             const repos = await this.fetchRepositories();
             console.log(`   Found ${repos.length} repositories`);
 
-            // Fetch language data for each repository
+            // Fetch language data for each repository, reusing the cache for unchanged ones
             console.log('💻 Fetching language data...');
-            const languageData = await this.fetchLanguageData(repos);
+            const cache = this.loadCache();
+            const languageData = await this.fetchLanguageData(repos, cache);
+            this.saveCache(repos, languageData.cacheEntries);
 
             // Calculate percentages
-            const processedData = this.processLanguageData(languageData);
+            const processedData = this.processLanguageData(languageData, repos);
 
             // Save to static files
-            await this.saveLanguageData(processedData, repos);
+            const written = await this.saveLanguageData(processedData, repos);
             
             console.log('✅ Language data generation complete!');
-            console.log(`   Generated files in: ${this.outputDir}`);
+            console.log(written
+                ? `   Generated files in: ${this.outputDir}`
+                : '   Language totals unchanged, output files left as they are');
+
+            if (this.activity.enabled) {
+                await this.generateActivity();
+            }
+            if (this.featured.enabled) {
+                await this.generateFeatured();
+            }
             
         } catch (error) {
             console.error('❌ Error generating language data:', error);
@@ -62,37 +155,482 @@ class LanguageDataGenerator {
     }
 
     /**
-     * Fetch all repositories for the authenticated user
+     * Collect contribution statistics and save them to github-activity.json.
+     * Failures are reported without failing the language data run.
+     */
+    async generateActivity() {
+        try {
+            console.log('📈 Collecting contribution activity...');
+            const collector = new ActivityCollector({
+                username: this.username,
+                years: this.activity.years,
+                request: (route, params) => this.request(route, params)
+            });
+            const activity = await collector.collect();
+
+            const written = this.writeIfChanged(this.activityFile, { lastUpdated: new Date().toISOString(), ...activity });
+            console.log(`   ${activity.totals.commits} commits, ${activity.totals.pullRequests} pull requests, ${activity.totals.issues} issues in the last year`);
+            console.log(`   📄 Activity: github-activity.json ${written ? 'updated' : 'unchanged'}`);
+        } catch (error) {
+            console.error('⚠️ Could not collect contribution activity:', error.message);
+        }
+    }
+
+    /**
+     * Collect metadata for pinned, configured and showcase-referenced repositories
+     * and save it to github-repos.json. Failures are reported without failing the run.
+     */
+    async generateFeatured() {
+        try {
+            console.log('📌 Collecting featured repositories...');
+            const collector = new RepositoryCollector({
+                username: this.username,
+                pinned: this.featured.pinned,
+                repositories: [...this.featured.repositories, ...this.findShowcaseRepositories()],
+                request: (route, params) => this.request(route, params)
+            });
+            const featured = await collector.collect();
+
+            const written = this.writeIfChanged(this.featuredFile, { lastUpdated: new Date().toISOString(), ...featured });
+            console.log(`   ${featured.pinned.length} pinned, ${Object.keys(featured.repositories).length} repositories in total`);
+            console.log(`   📄 Featured: github-repos.json ${written ? 'updated' : 'unchanged'}`);
+        } catch (error) {
+            console.error('⚠️ Could not collect featured repositories:', error.message);
+        }
+    }
+
+    /**
+     * owner/name references from the showcase entries of every about-content*.json in the output directory
+     */
+    findShowcaseRepositories() {
+        if (!fs.existsSync(this.outputDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.outputDir)
+            .filter(file => /^about-content(\.[\w-]+)?\.json$/.test(file))
+            .flatMap(file => {
+                try {
+                    const content = JSON.parse(fs.readFileSync(path.join(this.outputDir, file), 'utf8'));
+                    return ((content.sections && content.sections.showcase) || [])
+                        .map(entry => entry.repo)
+                        .filter(Boolean);
+                } catch (error) {
+                    console.warn(`⚠️ Could not read showcase references from ${file}: ${error.message}`);
+                    return [];
+                }
+            });
+    }
+
+    /**
+     * Merge defaults, the config file, environment variables and CLI flags (later wins)
+     * @param {string[]} [argv] - CLI arguments without node and the script path
+     * @param {Object} [env] - Environment variables
+     */
+    static loadConfig(argv = [], env = process.env) {
+        const flags = parseArgs(argv);
+        const explicitConfig = flags.config || env.PORTFOLIO_CONFIG;
+        const configPath = path.resolve(explicitConfig || LanguageDataGenerator.configFile);
+        delete flags.config;
+
+        let fileConfig = {};
+        if (fs.existsSync(configPath)) {
+            const { output, ...languages } = JSON.parse(fs.readFileSync(configPath, 'utf8')).languages || {};
+            fileConfig = languages;
+            if (output) {
+                // Relative paths in the config file are relative to the file itself
+                fileConfig.outputDir = path.resolve(path.dirname(configPath), output);
+            }
+        } else if (explicitConfig) {
+            throw new Error(`Config file not found: ${configPath}`);
+        }
+
+        const envConfig = {
+            username: env.GITHUB_USERNAME,
+            owners: parseList(env.LANGUAGE_OWNERS),
+            orgs: parseList(env.LANGUAGE_ORGS),
+            repositories: parseList(env.LANGUAGE_REPOS)
+        };
+        Object.keys(envConfig).forEach(key => envConfig[key] === undefined && delete envConfig[key]);
+
+        const config = { ...fileConfig, ...envConfig, ...flags };
+        if (flags.activity) {
+            config.activity = { ...fileConfig.activity, ...flags.activity };
+        }
+        if (flags.featured) {
+            config.featured = { ...fileConfig.featured, ...flags.featured };
+        }
+        if (flags.weighting) {
+            // --weighting and --half-life refine the configured model rather than replacing it
+            config.weighting = { ...fileConfig.weighting, ...flags.weighting };
+        }
+        return config;
+    }
+
+    /**
+     * Validate language rules and index them by lower-cased linguist name
+     */
+    normalizeRules(rules = {}) {
+        const unknown = Object.keys(rules).filter(key => !['exclude', 'groups', 'rename'].includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown language rule(s): ${unknown.join(', ')} (expected exclude, groups, rename)`);
+        }
+
+        const groupOf = new Map();
+        Object.entries(rules.groups || {}).forEach(([label, members]) => {
+            members.forEach(member => {
+                const key = member.toLowerCase();
+                if (groupOf.has(key)) {
+                    throw new Error(`Language "${member}" is in both the "${groupOf.get(key)}" and "${label}" groups`);
+                }
+                groupOf.set(key, label);
+            });
+        });
+
+        return {
+            exclude: new Set((rules.exclude || []).map(language => language.toLowerCase())),
+            groupOf,
+            rename: new Map(Object.entries(rules.rename || {}).map(([from, to]) => [from.toLowerCase(), to])),
+            config: {
+                exclude: rules.exclude || [],
+                groups: rules.groups || {},
+                rename: rules.rename || {}
+            }
+        };
+    }
+
+    /**
+     * Validate the weighting model and keep only the parameters it uses
+     */
+    normalizeWeighting(weighting = {}) {
+        const model = weighting.model || 'bytes';
+        if (!LanguageDataGenerator.weightingModels.includes(model)) {
+            throw new Error(`Unknown weighting model "${model}" (expected ${LanguageDataGenerator.weightingModels.join(', ')})`);
+        }
+
+        if (model === 'recency') {
+            const halfLifeDays = weighting.halfLifeDays ?? 365;
+            if (!(halfLifeDays > 0)) {
+                throw new Error('weighting.halfLifeDays must be a positive number');
+            }
+            return { model, halfLifeDays };
+        }
+        return { model };
+    }
+
+    /**
+     * Score each language label with the weighting model. The exclude, group and rename rules
+     * are applied to each repository first, so a group counts a repository once:
+     *   bytes   - bytes of code
+     *   repos   - number of repositories using the language
+     *   recency - bytes halved every halfLifeDays since the repository was last updated
+     *   commits - the language's share of each repository times the user's commits to it
+     *   stars   - the language's share of each repository times (stars + 1)
+     */
+    computeLanguageScores(repos, byRepo, commitsByRepo = {}) {
+        const scores = {};
+        const now = Date.now();
+
+        repos.forEach(repo => {
+            const languages = byRepo[repo.full_name];
+            const repoBytes = Object.values(languages || {}).reduce((sum, bytes) => sum + bytes, 0);
+            if (repoBytes === 0) {
+                return;
+            }
+
+            const { languages: labelled } = this.applyLanguageRules(languages);
+            Object.entries(labelled).forEach(([label, { bytes }]) => {
+                const share = bytes / repoBytes;
+                let score;
+
+                switch (this.weighting.model) {
+                    case 'repos':
+                        score = 1;
+                        break;
+                    case 'recency': {
+                        const ageDays = Math.max(0, now - Date.parse(repo.updated_at)) / 86400000;
+                        score = bytes * 0.5 ** (ageDays / this.weighting.halfLifeDays);
+                        break;
+                    }
+                    case 'commits':
+                        score = share * (commitsByRepo[repo.full_name] || 0);
+                        break;
+                    case 'stars':
+                        score = share * ((repo.stargazers_count || 0) + 1);
+                        break;
+                    default:
+                        score = bytes;
+                }
+
+                scores[label] = (scores[label] || 0) + score;
+            });
+        });
+
+        return scores;
+    }
+
+    /**
+     * Count the user's commits to a repository from the rel="last" page of a one-per-page listing
+     */
+    async fetchCommitCount(repo) {
+        try {
+            const response = await this.request('GET /repos/{owner}/{repo}/commits', {
+                owner: repo.owner,
+                repo: repo.name,
+                author: this.username,
+                per_page: 1
+            });
+            const last = (response.headers.link || '').match(/[?&]page=(\d+)[^>]*>;\s*rel="last"/);
+            return last ? Number(last[1]) : response.data.length;
+        } catch (error) {
+            // 409: the repository is empty
+            if (error.status === 409) {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Apply exclude, group and rename rules to aggregated linguist values (bytes or scores).
+     * Returns { languages: { label: { bytes, sources } }, excludedBytes } where bytes holds the summed value
+     */
+    applyLanguageRules(aggregated) {
+        const languages = {};
+        let excludedBytes = 0;
+
+        Object.entries(aggregated).forEach(([language, bytes]) => {
+            const key = language.toLowerCase();
+            if (this.rules.exclude.has(key)) {
+                excludedBytes += bytes;
+                return;
+            }
+
+            const group = this.rules.groupOf.get(key);
+            const label = this.rules.rename.get((group || language).toLowerCase()) || group || language;
+
+            languages[label] = languages[label] || { bytes: 0, sources: [] };
+            languages[label].bytes += bytes;
+            languages[label].sources.push(language);
+        });
+
+        return { languages, excludedBytes };
+    }
+
+    /**
+     * Compile an owner/name pattern with * wildcards into a case-insensitive RegExp
+     */
+    toPattern(pattern) {
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    /**
+     * Apply the fork, archived and include/exclude filters to a repository.
+     * Explicitly listed repositories only go through the exclude patterns.
+     */
+    isCounted(repo, explicit = false) {
+        if (this.exclude.some(pattern => pattern.test(repo.full_name))) {
+            return false;
+        }
+        if (explicit) {
+            return true;
+        }
+        if (repo.fork && !this.includeForks) {
+            return false;
+        }
+        if ((this.archived === 'exclude' && repo.archived) || (this.archived === 'only' && !repo.archived)) {
+            return false;
+        }
+        return this.include.length === 0 || this.include.some(pattern => pattern.test(repo.full_name));
+    }
+
+    /**
+     * Send a REST request, waiting out exhausted rate limits and retrying
+     * rate-limited (403/429) and transient 5xx responses
+     */
+    async request(route, params = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForRateLimit();
+
+            try {
+                const response = await this.transport(route, {
+                    ...params,
+                    headers: {
+                        'X-GitHub-Api-Version': '2022-11-28',
+                        ...params.headers
+                    }
+                });
+                this.updateRateLimit(response.headers);
+                return response;
+            } catch (error) {
+                const headers = error.response?.headers || {};
+                this.updateRateLimit(headers);
+
+                const delay = this.getRetryDelay(error.status, headers, attempt);
+                if (delay === null || attempt >= this.maxRetries) {
+                    throw error;
+                }
+
+                console.log(`   ⏳ ${error.status} from GitHub, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${this.maxRetries})`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Decide how long to wait before retrying a failed request, or null when it should not be retried
+     */
+    getRetryDelay(status, headers, attempt) {
+        const rateLimited = status === 429 || (status === 403 && (headers['retry-after'] || headers['x-ratelimit-remaining'] === '0'));
+
+        if (rateLimited) {
+            if (headers['retry-after']) {
+                return Number(headers['retry-after']) * 1000;
+            }
+            if (headers['x-ratelimit-reset']) {
+                return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+            }
+            return this.retryDelay * 2 ** attempt;
+        }
+
+        if (status >= 500) {
+            return this.retryDelay * 2 ** attempt;
+        }
+
+        return null;
+    }
+
+    /**
+     * Record the rate-limit headers of a response
+     */
+    updateRateLimit(headers) {
+        if (headers['x-ratelimit-remaining'] === undefined) {
+            return;
+        }
+        this.rateLimit = {
+            limit: Number(headers['x-ratelimit-limit']),
+            remaining: Number(headers['x-ratelimit-remaining']),
+            reset: Number(headers['x-ratelimit-reset'])
+        };
+    }
+
+    /**
+     * Pause until the rate-limit window resets when no requests are left
+     */
+    async waitForRateLimit() {
+        const { remaining, reset } = this.rateLimit;
+        if (remaining !== 0 || !reset) {
+            return;
+        }
+
+        const delay = reset * 1000 - Date.now();
+        if (delay > 0) {
+            console.log(`   ⏳ Rate limit exhausted, waiting ${Math.ceil(delay / 1000)}s for reset`);
+            await this.sleep(delay);
+        }
+        this.rateLimit.remaining = null;
+    }
+
+    /**
+     * Resolve after the given number of milliseconds
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Run an async worker over items with at most `concurrency` in flight
+     */
+    async runPool(items, worker, concurrency = this.concurrency) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        });
+
+        await Promise.all(runners);
+        return results;
+    }
+
+    /**
+     * Request every page of a list endpoint by following the Link header's rel="next"
+     */
+    async paginate(route, params) {
+        const items = [];
+        let response = await this.request(route, {
+            ...params,
+            per_page: 100
+        });
+
+        while (true) {
+            items.push(...(Array.isArray(response.data) ? response.data : response.data.items || []));
+
+            const next = this.getNextPageUrl(response.headers.link);
+            if (!next) {
+                break;
+            }
+            response = await this.request(`GET ${next}`);
+        }
+
+        console.log(`   API Rate Limit: ${this.rateLimit.remaining}/${this.rateLimit.limit}`);
+        return items;
+    }
+
+    /**
+     * Extract the rel="next" URL from a Link header
+     */
+    getNextPageUrl(linkHeader) {
+        const match = (linkHeader || '').match(/<([^>]+)>;\s*rel="next"/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Fetch all repositories counted for the user: owned repositories of each configured owner,
+     * org repositories the user contributed to, and explicitly listed repositories
      */
     async fetchRepositories() {
         try {
+            const repos = new Map();
+            const add = (repo, explicit = false) => {
+                if (!repos.has(repo.full_name) && this.isCounted(repo, explicit)) {
+                    repos.set(repo.full_name, this.mapRepository(repo));
+                }
+            };
+
             // Use the public users API instead of the authenticated user API
             // This works with the default GITHUB_TOKEN permissions
-            const response = await this.octokit.request('GET /users/{username}/repos', {
-                username: this.username,
-                type: 'owner',
-                sort: 'updated',
-                per_page: 100,
-                headers: {
-                    'X-GitHub-Api-Version': '2022-11-28'
+            for (const owner of this.owners) {
+                const owned = await this.paginate('GET /users/{username}/repos', {
+                    username: owner,
+                    type: 'owner',
+                    sort: 'updated'
+                });
+                console.log(`   ${owner}: ${owned.length} repositories`);
+                owned.forEach(repo => add(repo));
+            }
+
+            for (const org of this.orgs) {
+                const contributed = await this.fetchContributedRepositories(org);
+                console.log(`   ${org}: ${contributed.length} contributed repositories`);
+                contributed.forEach(repo => add(repo));
+            }
+
+            for (const fullName of this.extraRepos) {
+                const [owner, repo] = fullName.split('/');
+                try {
+                    const response = await this.request('GET /repos/{owner}/{repo}', { owner, repo });
+                    add(response.data, true);
+                } catch (error) {
+                    console.log(`   ⚠️ Skipping ${fullName}: ${error.message}`);
                 }
-            });
+            }
 
-            console.log(`   API Rate Limit: ${response.headers['x-ratelimit-remaining']}/${response.headers['x-ratelimit-limit']}`);
-
-            // Filter out forked repositories and include only relevant data
-            return response.data
-                .filter(repo => !repo.fork)
-                .map(repo => ({
-                    name: repo.name,
-                    full_name: repo.full_name,
-                    description: repo.description,
-                    language: repo.language,
-                    updated_at: repo.updated_at,
-                    created_at: repo.created_at,
-                    size: repo.size,
-                    stargazers_count: repo.stargazers_count
-                }));
+            return [...repos.values()];
         } catch (error) {
             console.error('❌ API Error Details:', {
                 status: error.status,
@@ -104,79 +642,211 @@ class LanguageDataGenerator {
     }
 
     /**
-     * Fetch language data for all repositories
+     * Find repositories in an organization that the user has merged pull requests into
+     */
+    async fetchContributedRepositories(org) {
+        const pullRequests = await this.paginate('GET /search/issues', {
+            q: `is:pr is:merged author:${this.username} org:${org}`
+        });
+
+        const fullNames = [...new Set(pullRequests.map(pr => pr.repository_url.split('/').slice(-2).join('/')))];
+        const repos = [];
+
+        for (const fullName of fullNames) {
+            const [owner, repo] = fullName.split('/');
+            const response = await this.request('GET /repos/{owner}/{repo}', { owner, repo });
+            repos.push(response.data);
+        }
+
+        return repos;
+    }
+
+    /**
+     * Keep only the repository fields used in the generated data
+     */
+    mapRepository(repo) {
+        return {
+            name: repo.name,
+            full_name: repo.full_name,
+            owner: repo.owner.login,
+            description: repo.description,
+            language: repo.language,
+            updated_at: repo.updated_at,
+            pushed_at: repo.pushed_at,
+            created_at: repo.created_at,
+            size: repo.size,
+            stargazers_count: repo.stargazers_count,
+            fork: repo.fork,
+            archived: repo.archived || false
+        };
+    }
+
+    /**
+     * Read the per-repository cache (pushed_at, ETag, languages) written by the previous run
+     */
+    loadCache() {
+        if (!this.useCache || !fs.existsSync(this.cacheFile)) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8')).repositories || {};
+        } catch (error) {
+            console.log(`   ⚠️ Ignoring unreadable cache: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Persist the cache for the current repositories, only touching the file when an entry changed
      */
-    async fetchLanguageData(repos) {
+    saveCache(repos, entries) {
+        const repositories = {};
+        repos
+            .filter(repo => entries[repo.full_name])
+            .forEach(repo => {
+                repositories[repo.full_name] = entries[repo.full_name];
+            });
+
+        fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+        const written = this.writeIfChanged(this.cacheFile, { version: 1, repositories });
+        console.log(`   🗄️ Cache ${written ? 'updated' : 'unchanged'}: ${path.basename(this.cacheFile)}`);
+    }
+
+    /**
+     * Fetch language data for all repositories through a bounded-concurrency pool.
+     * Repositories whose pushed_at matches the cache are not requested; the others are requested
+     * with If-None-Match so an unchanged response (304) reuses the cached languages. When the
+     * request fails the cached languages are used as-is and the repository is retried next run.
+     */
+    async fetchLanguageData(repos, cache = {}) {
         const languageData = {};
         const repoLanguages = {};
+        const cacheEntries = {};
+        const skipped = [];
+        const counts = { fetched: 0, cached: 0, notModified: 0, stale: 0 };
 
-        console.log('   Processing repositories:');
-        
-        for (const repo of repos) {
-            try {
-                process.stdout.write(`   - ${repo.name}... `);
-                
-                const response = await this.octokit.request('GET /repos/{owner}/{repo}/languages', {
-                    owner: this.username,
-                    repo: repo.name,
-                    headers: {
-                        'X-GitHub-Api-Version': '2022-11-28'
-                    }
-                });
+        console.log(`   Processing repositories (${this.concurrency} at a time):`);
+
+        await this.runPool(repos, async repo => {
+            const cached = cache[repo.full_name];
+            let entry;
 
-                repoLanguages[repo.name] = response.data;
+            if (cached && cached.pushed_at && cached.pushed_at === repo.pushed_at) {
+                entry = cached;
+                counts.cached++;
+            } else {
+                try {
+                    const response = await this.request('GET /repos/{owner}/{repo}/languages', {
+                        owner: repo.owner,
+                        repo: repo.name,
+                        headers: cached?.etag ? { 'If-None-Match': cached.etag } : {}
+                    });
 
-                // Aggregate language data
-                Object.entries(response.data).forEach(([language, bytes]) => {
-                    if (languageData[language]) {
-                        languageData[language] += bytes;
+                    entry = {
+                        pushed_at: repo.pushed_at,
+                        etag: response.headers.etag || null,
+                        languages: response.data
+                    };
+                    counts.fetched++;
+                    console.log(`   - ${repo.full_name} ✓`);
+                } catch (error) {
+                    if (!cached) {
+                        skipped.push({ repository: repo.full_name, status: error.status || null, reason: error.message });
+                        console.log(`   - ${repo.full_name} ❌ Error: ${error.message}`);
+                        return;
+                    }
+                    if (error.status === 304) {
+                        // Languages unchanged, but new pushes may have added commits
+                        const { commits, ...unchanged } = cached;
+                        entry = { ...unchanged, pushed_at: repo.pushed_at };
+                        counts.notModified++;
+                        console.log(`   - ${repo.full_name} ✓ (not modified)`);
                     } else {
-                        languageData[language] = bytes;
+                        // Keep the old pushed_at so the next run requests it again
+                        entry = cached;
+                        counts.stale++;
+                        console.log(`   - ${repo.full_name} ⚠️ Error: ${error.message}, using cached languages`);
                     }
-                });
+                }
+            }
 
-                console.log('✓');
-                
-                // Small delay to be nice to the API
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-            } catch (error) {
-                console.log(`❌ Error: ${error.message}`);
+            if (this.weighting.model === 'commits' && entry.commits === undefined) {
+                try {
+                    entry = { ...entry, commits: await this.fetchCommitCount(repo) };
+                } catch (error) {
+                    console.log(`   - ${repo.full_name} ⚠️ Commit count unavailable, weighted as 0: ${error.message}`);
+                }
             }
+
+            repoLanguages[repo.full_name] = entry.languages;
+            cacheEntries[repo.full_name] = entry;
+        });
+
+        // Aggregate in repository order so the output does not depend on response timing
+        repos.forEach(repo => {
+            Object.entries(repoLanguages[repo.full_name] || {}).forEach(([language, bytes]) => {
+                languageData[language] = (languageData[language] || 0) + bytes;
+            });
+        });
+
+        console.log(`   Fetched ${counts.fetched}, not modified ${counts.notModified}, cached ${counts.cached}, stale ${counts.stale} of ${repos.length} repositories`);
+        if (skipped.length > 0) {
+            console.log(`   ⚠️ Skipped ${skipped.length} repositories:`);
+            skipped.forEach(entry => console.log(`      - ${entry.repository} (${entry.status ?? 'no status'}: ${entry.reason})`));
         }
 
-        return { aggregated: languageData, byRepo: repoLanguages };
+        const commitsByRepo = {};
+        Object.entries(cacheEntries).forEach(([fullName, entry]) => {
+            if (entry.commits !== undefined) {
+                commitsByRepo[fullName] = entry.commits;
+            }
+        });
+
+        return { aggregated: languageData, byRepo: repoLanguages, commitsByRepo, cacheEntries, skipped };
     }
 
     /**
-     * Process and calculate language percentages
+     * Process and calculate language percentages using the weighting model
      */
-    processLanguageData(languageData) {
-        const totalBytes = Object.values(languageData.aggregated).reduce((sum, bytes) => sum + bytes, 0);
+    processLanguageData(languageData, repos = []) {
+        // Rules run first so merged groups are ranked and cut as a single language
+        const { languages: labelled, excludedBytes } = this.applyLanguageRules(languageData.aggregated);
+        const totalBytes = Object.values(labelled).reduce((sum, language) => sum + language.bytes, 0);
+
+        const scores = this.weighting.model === 'bytes'
+            ? Object.fromEntries(Object.entries(labelled).map(([label, { bytes }]) => [label, bytes]))
+            : this.computeLanguageScores(repos, languageData.byRepo, languageData.commitsByRepo);
+        const totalScore = Object.values(scores).reduce((sum, score) => sum + score, 0);
         
-        if (totalBytes === 0) {
-            return { languages: [], totalBytes: 0 };
+        if (totalBytes === 0 || totalScore === 0) {
+            return { languages: [], totalBytes, excludedBytes, byRepo: languageData.byRepo, skipped: languageData.skipped };
         }
 
-        const languages = Object.entries(languageData.aggregated)
-            .map(([language, bytes]) => ({
+        const languages = Object.entries(labelled)
+            .map(([language, { bytes, sources }]) => ({
                 name: language,
                 bytes: bytes,
-                percent: (bytes / totalBytes) * 100
+                percent: ((scores[language] || 0) / totalScore) * 100,
+                sources: sources.sort()
             }))
-            .filter(lang => lang.percent >= 1) // Filter languages with less than 1%
+            .filter(lang => lang.percent >= this.minPercent) // Filter languages below the minimum share
             .sort((a, b) => b.percent - a.percent)
-            .slice(0, 8); // Top 8 languages
+            .slice(0, this.maxLanguages); // Top N languages
 
         return {
             languages,
             totalBytes,
-            byRepo: languageData.byRepo
+            excludedBytes,
+            byRepo: languageData.byRepo,
+            skipped: languageData.skipped
         };
     }
 
     /**
-     * Save language data to static JSON files
+     * Save language data to static JSON files when the aggregated result changed,
+     * and record today's snapshot in the history on every run.
+     * Returns whether the language files were written.
      */
     async saveLanguageData(processedData, repos) {
         const timestamp = new Date().toISOString();
@@ -186,10 +856,12 @@ class LanguageDataGenerator {
             lastUpdated: timestamp,
             totalRepositories: repos.length,
             totalBytes: processedData.totalBytes,
+            weighting: this.weighting,
             languages: processedData.languages.map(lang => ({
                 name: lang.name,
                 percent: Math.round(lang.percent * 100) / 100, // Round to 2 decimal places
-                bytes: lang.bytes
+                bytes: lang.bytes,
+                sources: lang.sources
             }))
         };
 
@@ -199,26 +871,237 @@ class LanguageDataGenerator {
             repositories: repos,
             languagesByRepo: processedData.byRepo,
             aggregatedLanguages: processedData.languages,
+            skippedRepositories: processedData.skipped,
             metadata: {
                 totalRepositories: repos.length,
                 totalBytes: processedData.totalBytes,
+                sources: {
+                    owners: this.owners,
+                    orgs: this.orgs,
+                    repositories: this.extraRepos
+                },
+                filters: this.filters,
+                weighting: this.weighting,
+                rules: this.rules.config,
+                excludedBytes: processedData.excludedBytes,
                 generatedBy: 'GitHub Language Data Generator',
                 version: '1.0.0'
             }
         };
 
-        // Write files
         const mainFile = path.join(this.outputDir, 'github-languages.json');
         const detailedFile = path.join(this.outputDir, 'github-languages-detailed.json');
 
+        // Unchanged totals still count as a data point for the trend chart
+        this.appendHistory(mainData);
+
+        // Skip timestamp-only rewrites: compare everything but lastUpdated with the current file
+        if (!this.hasChanged(mainFile, mainData) && fs.existsSync(detailedFile)) {
+            console.log('   ⏭️ Aggregated languages unchanged, keeping existing files');
+            return false;
+        }
+
         fs.writeFileSync(mainFile, JSON.stringify(mainData, null, 2));
         fs.writeFileSync(detailedFile, JSON.stringify(detailedData, null, 2));
 
         console.log(`   📄 Main data: github-languages.json`);
         console.log(`   📄 Detailed data: github-languages-detailed.json`);
+
+        return true;
+    }
+
+    /**
+     * Add a dated snapshot of the language shares to the history file, keeping one per day
+     * and at most historyLimit snapshots. Shares from different weighting models are not
+     * comparable, so a model change starts a new history.
+     */
+    appendHistory(mainData) {
+        let snapshots = [];
+        if (fs.existsSync(this.historyFile)) {
+            try {
+                snapshots = JSON.parse(fs.readFileSync(this.historyFile, 'utf8')).snapshots || [];
+            } catch (error) {
+                console.log(`   ⚠️ Starting a new history, existing file is unreadable: ${error.message}`);
+            }
+        }
+
+        const snapshot = {
+            date: mainData.lastUpdated.slice(0, 10),
+            weighting: mainData.weighting.model,
+            totalRepositories: mainData.totalRepositories,
+            languages: Object.fromEntries(mainData.languages.map(lang => [lang.name, lang.percent]))
+        };
+
+        if (snapshots.some(entry => entry.weighting !== snapshot.weighting)) {
+            console.log(`   ⚠️ Weighting model changed to ${snapshot.weighting}, starting a new history`);
+        }
+
+        snapshots = snapshots
+            .filter(entry => entry.weighting === snapshot.weighting && entry.date !== snapshot.date)
+            .concat(snapshot)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .slice(-this.historyLimit);
+
+        if (this.writeIfChanged(this.historyFile, { limit: this.historyLimit, snapshots })) {
+            console.log(`   📄 History: github-languages-history.json (${snapshots.length} snapshots)`);
+        }
+    }
+
+    /**
+     * Whether data differs from the JSON file on disk, ignoring lastUpdated
+     */
+    hasChanged(file, data) {
+        if (!fs.existsSync(file)) {
+            return true;
+        }
+
+        try {
+            const { lastUpdated: previousTimestamp, ...previous } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const { lastUpdated, ...current } = data;
+            return JSON.stringify(previous) !== JSON.stringify(current);
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Write data as JSON only when it differs from the file on disk
+     */
+    writeIfChanged(file, data) {
+        if (!this.hasChanged(file, data)) {
+            return false;
+        }
+        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        return true;
+    }
+}
+
+LanguageDataGenerator.configFile = path.join(__dirname, '../../portfolio.config.json');
+
+LanguageDataGenerator.weightingModels = ['bytes', 'repos', 'recency', 'commits', 'stars'];
+
+LanguageDataGenerator.defaults = {
+    username: 'ShawnXxy',
+    owners: null,
+    orgs: [],
+    repositories: [],
+    include: [],
+    exclude: [],
+    includeForks: false,
+    archived: 'include',
+    minPercent: 1,
+    maxLanguages: 8,
+    rules: {},
+    weighting: { model: 'bytes' },
+    outputDir: path.join(__dirname, '../data'),
+    cacheFile: path.join(__dirname, '../../.cache/github-languages-cache.json'),
+    historyLimit: 104,
+    activity: { enabled: true, years: 5 },
+    featured: { enabled: true, pinned: true, repositories: [] },
+    concurrency: 4,
+    maxRetries: 3,
+    retryDelay: 1000,
+    useCache: true
+};
+
+const USAGE = `Usage: node static/js/generate-language-data.js [options]
+
+  --config <file>          Config file (default: portfolio.config.json)
+  --username <name>        GitHub user whose contributions are counted
+  --owners <a,b>           Users/organizations whose repositories are all counted
+  --orgs <a,b>             Organizations where merged pull requests count a repository
+  --repos <owner/name,..>  Extra repositories to count
+  --include <pattern,..>   Only count repositories matching owner/name patterns (* wildcard)
+  --exclude <pattern,..>   Skip repositories matching owner/name patterns
+  --include-forks          Count forked repositories
+  --no-include-forks       Skip forked repositories (overrides the config file)
+  --archived <mode>        include | exclude | only
+  --min-percent <n>        Drop languages below n percent
+  --max-languages <n>      Keep at most n languages
+  --weighting <model>      bytes | repos | recency | commits | stars
+  --half-life <days>       Half-life for the recency model
+  --output <dir>           Output directory
+  --concurrency <n>        Parallel language requests
+  --no-cache               Refetch every repository
+  --no-activity            Skip contribution statistics (github-activity.json)
+  --no-featured            Skip featured repository metadata (github-repos.json)`;
+
+/**
+ * Split a comma-separated setting into a list
+ */
+function parseList(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse CLI flags into generator options
+ */
+function parseArgs(argv) {
+    const options = {};
+    const lists = { '--owners': 'owners', '--orgs': 'orgs', '--repos': 'repositories', '--include': 'include', '--exclude': 'exclude' };
+    const numbers = { '--min-percent': 'minPercent', '--max-languages': 'maxLanguages', '--concurrency': 'concurrency' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (argv[i + 1] === undefined) {
+                throw new Error(`${arg} requires a value`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--help') {
+            console.log(USAGE);
+            process.exit(0);
+        } else if (arg === '--include-forks' || arg === '--no-include-forks') {
+            options.includeForks = arg === '--include-forks';
+        } else if (arg === '--no-cache') {
+            options.useCache = false;
+        } else if (arg === '--no-activity') {
+            options.activity = { enabled: false };
+        } else if (arg === '--no-featured') {
+            options.featured = { enabled: false };
+        } else if (arg === '--config' || arg === '--username' || arg === '--archived') {
+            options[arg.slice(2)] = value();
+        } else if (arg === '--weighting') {
+            options.weighting = { ...options.weighting, model: value() };
+        } else if (arg === '--half-life') {
+            const halfLifeDays = Number(value());
+            if (Number.isNaN(halfLifeDays)) {
+                throw new Error(`${arg} expects a number`);
+            }
+            options.weighting = { ...options.weighting, halfLifeDays };
+        } else if (arg === '--output') {
+            options.outputDir = path.resolve(value());
+        } else if (lists[arg]) {
+            options[lists[arg]] = parseList(value());
+        } else if (numbers[arg]) {
+            const number = Number(value());
+            if (Number.isNaN(number)) {
+                throw new Error(`${arg} expects a number`);
+            }
+            options[numbers[arg]] = number;
+        } else {
+            throw new Error(`Unknown option: ${arg}\n\n${USAGE}`);
+        }
+    }
+    return options;
+}
+
+// Run the generator when executed directly
+if (require.main === module) {
+    let generator;
+    try {
+        generator = new LanguageDataGenerator(LanguageDataGenerator.loadConfig(process.argv.slice(2)));
+    } catch (error) {
+        // Bad flags, config values or a missing token: report without a stack trace
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
     }
+    generator.generate();
 }
 
-// Run the generator
-const generator = new LanguageDataGenerator();
-generator.generate();
+module.exports = LanguageDataGenerator;
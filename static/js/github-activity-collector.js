@@ -0,0 +1,178 @@
+/**
+ * GitHub Activity Collector
+ * Collects contribution statistics through the GraphQL contributionsCollection API:
+ * yearly commits, pull requests opened/merged, issues, reviews, repositories contributed to
+ * and the contribution calendar. Used by generate-language-data.js to write github-activity.json.
+ *
+ * The collector only talks to GitHub through the `request(route, params)` function it is given
+ * (an Octokit-style request), so it can be run offline against a fake transport.
+ */
+
+const CONTRIBUTION_YEARS_QUERY = `
+query($login: String!) {
+  user(login: $login) {
+    contributionsCollection {
+      contributionYears
+    }
+  }
+}`;
+
+const CONTRIBUTIONS_QUERY = `
+query($login: String!, $from: DateTime!, $to: DateTime!, $merged: String!, $calendar: Boolean!) {
+  user(login: $login) {
+    contributionsCollection(from: $from, to: $to) {
+      totalCommitContributions
+      totalIssueContributions
+      totalPullRequestContributions
+      totalPullRequestReviewContributions
+      restrictedContributionsCount
+      commitContributionsByRepository(maxRepositories: 100) {
+        repository { nameWithOwner }
+        contributions { totalCount }
+      }
+      pullRequestContributionsByRepository(maxRepositories: 100) {
+        repository { nameWithOwner }
+      }
+      issueContributionsByRepository(maxRepositories: 100) {
+        repository { nameWithOwner }
+      }
+      contributionCalendar @include(if: $calendar) {
+        totalContributions
+        weeks {
+          contributionDays { date contributionCount }
+        }
+      }
+    }
+  }
+  merged: search(query: $merged, type: ISSUE) {
+    issueCount
+  }
+}`;
+
+class ActivityCollector {
+    /**
+     * @param {Object} options
+     * @param {string} options.username - GitHub login
+     * @param {Function} options.request - Octokit-style request(route, params) returning { data }
+     * @param {number} [options.years] - Most recent contribution years to collect
+     * @param {Date} [options.now] - Reference date (for tests)
+     */
+    constructor({ username, request, years = 5, now = new Date() }) {
+        this.username = username;
+        this.request = request;
+        this.years = years;
+        this.now = now;
+    }
+
+    /**
+     * Collect the last 12 months (with calendar) and per-year totals
+     */
+    async collect() {
+        const to = this.now;
+        const from = new Date(to);
+        from.setUTCFullYear(from.getUTCFullYear() - 1);
+        from.setUTCDate(from.getUTCDate() + 1);
+
+        const lastYear = await this.fetchContributions(from, to, true);
+
+        const contributionYears = await this.fetchContributionYears();
+        const years = [];
+        for (const year of contributionYears.slice(0, this.years)) {
+            const yearFrom = new Date(Date.UTC(year, 0, 1));
+            const yearTo = year === to.getUTCFullYear() ? to : new Date(Date.UTC(year, 11, 31, 23, 59, 59));
+            const { totals } = await this.fetchContributions(yearFrom, yearTo, false);
+            years.push({ year, ...totals });
+        }
+
+        return {
+            username: this.username,
+            period: { from: this.formatDate(from), to: this.formatDate(to) },
+            totals: lastYear.totals,
+            years,
+            repositories: lastYear.repositories,
+            calendar: lastYear.calendar
+        };
+    }
+
+    /**
+     * Run a GraphQL query, throwing on GraphQL-level errors
+     */
+    async graphql(query, variables) {
+        const response = await this.request('POST /graphql', { query, variables });
+        const { data, errors } = response.data;
+
+        if (errors && errors.length > 0) {
+            throw new Error(`GraphQL error: ${errors.map(error => error.message).join('; ')}`);
+        }
+        if (!data || !data.user) {
+            throw new Error(`GitHub user "${this.username}" not found`);
+        }
+        return data;
+    }
+
+    /**
+     * Years with contributions, most recent first
+     */
+    async fetchContributionYears() {
+        const data = await this.graphql(CONTRIBUTION_YEARS_QUERY, { login: this.username });
+        return [...data.user.contributionsCollection.contributionYears].sort((a, b) => b - a);
+    }
+
+    /**
+     * Contribution totals between two dates (at most one year apart)
+     */
+    async fetchContributions(from, to, includeCalendar) {
+        const data = await this.graphql(CONTRIBUTIONS_QUERY, {
+            login: this.username,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            merged: `author:${this.username} is:pr is:merged merged:${this.formatDate(from)}..${this.formatDate(to)}`,
+            calendar: includeCalendar
+        });
+
+        const collection = data.user.contributionsCollection;
+        const contributed = new Set([
+            ...collection.commitContributionsByRepository,
+            ...collection.pullRequestContributionsByRepository,
+            ...collection.issueContributionsByRepository
+        ].map(entry => entry.repository.nameWithOwner));
+
+        return {
+            totals: {
+                commits: collection.totalCommitContributions,
+                pullRequests: collection.totalPullRequestContributions,
+                pullRequestsMerged: data.merged.issueCount,
+                issues: collection.totalIssueContributions,
+                reviews: collection.totalPullRequestReviewContributions,
+                privateContributions: collection.restrictedContributionsCount,
+                repositoriesContributedTo: contributed.size
+            },
+            repositories: collection.commitContributionsByRepository
+                .map(entry => ({ name: entry.repository.nameWithOwner, commits: entry.contributions.totalCount }))
+                .sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name)),
+            calendar: includeCalendar ? this.buildCalendar(collection.contributionCalendar) : null
+        };
+    }
+
+    /**
+     * Flatten the calendar weeks into [{ date, count }]
+     */
+    buildCalendar(calendar) {
+        return {
+            totalContributions: calendar.totalContributions,
+            days: calendar.weeks.flatMap(week => week.contributionDays.map(day => ({
+                date: day.date,
+                count: day.contributionCount
+            })))
+        };
+    }
+
+    /**
+     * YYYY-MM-DD in UTC
+     */
+    formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+module.exports = ActivityCollector;
@@ -0,0 +1,201 @@
+/**
+ * GitHub Activity Renderer
+ * Shows the contribution statistics written by generate-language-data.js (data/github-activity.json)
+ * on the Profile page: headline counters and a contribution calendar heatmap.
+ * The block stays hidden until the data file exists.
+ */
+
+class GitHubActivity {
+    constructor() {
+        this.dataUrl = './data/github-activity.json';
+        this.block = document.getElementById('github-activity-block');
+        this.container = document.getElementById('github-activity');
+        this.data = null;
+        this.ready = window.lifecycle.whenSettled('activity:rendered', 'activity:error');
+    }
+
+    /**
+     * Initialize activity loading
+     */
+    async init() {
+        if (!this.container) {
+            console.log('ℹ️ Activity container not found, skipping activity rendering');
+            return;
+        }
+
+        try {
+            const response = await fetch(this.dataUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load activity data: ${response.status}`);
+            }
+
+            this.data = await response.json();
+            this.render(this.data);
+            window.lifecycle.emit('activity:rendered', { activity: this.data });
+        } catch (error) {
+            // Not generated yet (or disabled with --no-activity): keep the block hidden
+            console.log('ℹ️ GitHub activity unavailable:', error.message);
+            window.lifecycle.emit('activity:error', { error });
+        }
+    }
+
+    /**
+     * Redraw the block in the new locale
+     */
+    applyLocale() {
+        if (this.data) {
+            this.render(this.data);
+        }
+    }
+
+    /**
+     * Render counters and heatmap, then reveal the block
+     */
+    render(data) {
+        this.container.innerHTML = '';
+        this.container.appendChild(this.createCounters(data.totals));
+        if (data.calendar && data.calendar.days.length > 0) {
+            this.container.appendChild(this.createHeatmap(data.calendar));
+        }
+        if (data.years && data.years.length > 0) {
+            this.container.appendChild(this.createYears(data.years));
+        }
+        if (this.block) {
+            this.block.hidden = false;
+        }
+    }
+
+    /**
+     * Headline counters for the last 12 months
+     */
+    createCounters(totals) {
+        const counters = [
+            ['commits', 'activity.commits', 'Commits'],
+            ['pullRequests', 'activity.pullRequests', 'Pull requests'],
+            ['pullRequestsMerged', 'activity.merged', 'Merged'],
+            ['issues', 'activity.issues', 'Issues'],
+            ['repositoriesContributedTo', 'activity.repositories', 'Repositories']
+        ];
+
+        const list = document.createElement('ul');
+        list.className = 'activity-counters';
+
+        counters.forEach(([field, key, fallback]) => {
+            const item = document.createElement('li');
+            const value = document.createElement('span');
+            value.className = 'activity-count';
+            value.textContent = (totals[field] || 0).toLocaleString();
+            const label = document.createElement('span');
+            label.className = 'activity-label';
+            label.textContent = t(key, fallback);
+            item.appendChild(value);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Contribution calendar as an SVG grid: one column per week, one row per weekday
+     */
+    createHeatmap(calendar) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const cell = 10;
+        const gap = 2;
+        const days = calendar.days;
+        const firstWeekday = new Date(`${days[0].date}T00:00:00Z`).getUTCDay();
+        const weeks = Math.ceil((days.length + firstWeekday) / 7);
+        const levels = this.getLevels(days.map(day => day.count));
+
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${weeks * (cell + gap)} ${7 * (cell + gap)}`);
+        svg.setAttribute('class', 'activity-heatmap');
+        svg.setAttribute('role', 'img');
+
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = `${calendar.totalContributions.toLocaleString()} ${t('activity.calendar', 'contributions in the last year')}`;
+        svg.appendChild(title);
+
+        days.forEach((day, index) => {
+            const position = index + firstWeekday;
+            const rect = document.createElementNS(svgNS, 'rect');
+            rect.setAttribute('x', Math.floor(position / 7) * (cell + gap));
+            rect.setAttribute('y', (position % 7) * (cell + gap));
+            rect.setAttribute('width', cell);
+            rect.setAttribute('height', cell);
+            rect.setAttribute('rx', 2);
+            rect.setAttribute('class', `activity-day level-${levels(day.count)}`);
+
+            const tooltip = document.createElementNS(svgNS, 'title');
+            tooltip.textContent = `${day.date}: ${day.count}`;
+            rect.appendChild(tooltip);
+            svg.appendChild(rect);
+        });
+
+        const figure = document.createElement('figure');
+        figure.className = 'activity-calendar';
+        figure.appendChild(svg);
+        const caption = document.createElement('figcaption');
+        caption.textContent = title.textContent;
+        figure.appendChild(caption);
+        return figure;
+    }
+
+    /**
+     * Map a day's count to a 0-4 intensity level using quartiles of the non-zero days
+     */
+    getLevels(counts) {
+        const active = counts.filter(count => count > 0).sort((a, b) => a - b);
+        const quartile = q => active[Math.min(active.length - 1, Math.floor(active.length * q))];
+        const thresholds = active.length > 0 ? [quartile(0.25), quartile(0.5), quartile(0.75)] : [];
+
+        return count => {
+            if (count <= 0) {
+                return 0;
+            }
+            return 1 + thresholds.filter(threshold => count > threshold).length;
+        };
+    }
+
+    /**
+     * Commits, pull requests and issues per year
+     */
+    createYears(years) {
+        const table = document.createElement('table');
+        table.className = 'activity-years';
+
+        const head = document.createElement('tr');
+        [
+            t('activity.year', 'Year'),
+            t('activity.commits', 'Commits'),
+            t('activity.pullRequests', 'Pull requests'),
+            t('activity.merged', 'Merged'),
+            t('activity.issues', 'Issues')
+        ].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+
+        years.forEach(year => {
+            const row = document.createElement('tr');
+            [year.year, year.commits, year.pullRequests, year.pullRequestsMerged, year.issues].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                row.appendChild(td);
+            });
+            table.appendChild(row);
+        });
+
+        return table;
+    }
+}
+
+// Initialize activity when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.githubActivity = new GitHubActivity();
+    document.addEventListener('locale:changed', () => window.githubActivity.applyLocale());
+    window.githubActivity.init();
+});
@@ -0,0 +1,159 @@
+/**
+ * GitHub Repository Collector
+ * Fetches the metadata shown on featured repository cards through the GraphQL API:
+ * the user's pinned repositories plus any owner/name repositories asked for explicitly.
+ * Used by generate-language-data.js to write github-repos.json.
+ *
+ * Like the activity collector it only talks to GitHub through the `request(route, params)`
+ * function it is given, so it can be run offline against a fake transport.
+ */
+
+const REPOSITORY_FIELDS = `
+fragment RepositoryFields on Repository {
+  nameWithOwner
+  name
+  description
+  url
+  homepageUrl
+  stargazerCount
+  forkCount
+  pushedAt
+  isArchived
+  primaryLanguage { name color }
+  repositoryTopics(first: 10) {
+    nodes { topic { name } }
+  }
+}`;
+
+const PINNED_QUERY = `
+query($login: String!) {
+  user(login: $login) {
+    pinnedItems(first: 6, types: REPOSITORY) {
+      nodes { ...RepositoryFields }
+    }
+  }
+}
+${REPOSITORY_FIELDS}`;
+
+class RepositoryCollector {
+    /**
+     * @param {Object} options
+     * @param {string} options.username - GitHub login whose pinned repositories are read
+     * @param {Function} options.request - Octokit-style request(route, params) returning { data }
+     * @param {boolean} [options.pinned] - Include the user's pinned repositories
+     * @param {string[]} [options.repositories] - Extra owner/name repositories
+     */
+    constructor({ username, request, pinned = true, repositories = [] }) {
+        this.username = username;
+        this.request = request;
+        this.pinned = pinned;
+        this.repositories = repositories;
+    }
+
+    /**
+     * Collect pinned and listed repositories, keyed by owner/name
+     */
+    async collect() {
+        const pinned = this.pinned ? await this.fetchPinned() : [];
+        const known = new Set(pinned.map(repo => repo.fullName.toLowerCase()));
+        const extra = await this.fetchRepositories(
+            [...new Set(this.repositories)].filter(name => !known.has(name.toLowerCase()))
+        );
+
+        const repositories = {};
+        [...pinned, ...extra].forEach(repo => {
+            repositories[repo.fullName] = repo;
+        });
+
+        return {
+            username: this.username,
+            pinned: pinned.map(repo => repo.fullName),
+            repositories
+        };
+    }
+
+    /**
+     * Run a GraphQL query, throwing on GraphQL-level errors
+     */
+    async graphql(query, variables) {
+        const response = await this.request('POST /graphql', { query, variables });
+        const { data, errors } = response.data;
+
+        if (errors && errors.length > 0) {
+            throw new Error(`GraphQL error: ${errors.map(error => error.message).join('; ')}`);
+        }
+        return data;
+    }
+
+    /**
+     * The user's pinned repositories, in pin order
+     */
+    async fetchPinned() {
+        const data = await this.graphql(PINNED_QUERY, { login: this.username });
+        if (!data || !data.user) {
+            throw new Error(`GitHub user "${this.username}" not found`);
+        }
+        return data.user.pinnedItems.nodes.map(node => this.mapRepository(node));
+    }
+
+    /**
+     * Look up owner/name repositories in a single query (one alias per repository).
+     * Repositories that do not exist or are not visible are skipped with a warning.
+     */
+    async fetchRepositories(names) {
+        const valid = names.filter(name => {
+            if (/^[\w.-]+\/[\w.-]+$/.test(name)) {
+                return true;
+            }
+            console.warn(`⚠️ Skipping invalid repository name "${name}" (expected owner/name)`);
+            return false;
+        });
+        if (valid.length === 0) {
+            return [];
+        }
+
+        const lookups = valid.map((name, index) => {
+            const [owner, repo] = name.split('/');
+            return `  repo${index}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(repo)}) { ...RepositoryFields }`;
+        });
+        const query = `query {\n${lookups.join('\n')}\n}\n${REPOSITORY_FIELDS}`;
+
+        // Missing repositories come back as null with a NOT_FOUND error; keep the rest
+        const response = await this.request('POST /graphql', { query });
+        const { data } = response.data;
+        if (!data) {
+            throw new Error(`GraphQL error: ${(response.data.errors || []).map(error => error.message).join('; ')}`);
+        }
+
+        return valid.flatMap((name, index) => {
+            const node = data[`repo${index}`];
+            if (!node) {
+                console.warn(`⚠️ Repository ${name} not found`);
+                return [];
+            }
+            return [this.mapRepository(node)];
+        });
+    }
+
+    /**
+     * Keep the fields the cards display
+     */
+    mapRepository(node) {
+        return {
+            fullName: node.nameWithOwner,
+            name: node.name,
+            description: node.description || '',
+            url: node.url,
+            homepage: node.homepageUrl || null,
+            stars: node.stargazerCount,
+            forks: node.forkCount,
+            language: node.primaryLanguage ? node.primaryLanguage.name : null,
+            languageColor: node.primaryLanguage ? node.primaryLanguage.color : null,
+            topics: node.repositoryTopics.nodes.map(entry => entry.topic.name),
+            pushedAt: node.pushedAt,
+            archived: node.isArchived
+        };
+    }
+}
+
+module.exports = RepositoryCollector;
@@ -7,15 +7,28 @@
 class GitHubSkills {
     constructor() {
         this.dataUrl = './data/github-languages.json'; // Static JSON file
+        this.historyUrl = './data/github-languages-history.json'; // Dated snapshots for the trend view
+        this.detailsUrl = './data/github-languages-detailed.json'; // Per-repository data for the drill-down
+        this.details = null; // Promise of the detailed data, loaded on first drill-down
+        this.skills = [];
         this.skillsContainer = document.getElementById('technical-skills');
+        this.trendContainer = document.getElementById('skills-trend');
+        this.history = null;
         this.maxSkills = 8; // Limit to top 8 skills for display
         this.minPercent = 1; // Filter out skills with less than 1% usage
+        this.weighting = { model: 'bytes' }; // Weighting model recorded by the generator
+        this.error = null; // Message of the last load failure, redrawn on locale change
+        this.mode = this.normalizeMode(this.skillsContainer && this.skillsContainer.getAttribute('data-mode'));
+        this.ready = window.lifecycle.whenSettled('skills:rendered', 'skills:error');
     }
 
     /**
      * Initialize the GitHub skills loading
      */
     async init() {
+        this.bindViewToggle();
+        this.bindDrillDown();
+
         try {
             await this.loadLanguageData();
         } catch (error) {
@@ -38,6 +51,7 @@ class GitHubSkills {
             const data = await response.json();
             
             if (data.languages && Array.isArray(data.languages)) {
+                this.weighting = data.weighting || { model: 'bytes' };
                 const processedSkills = this.formatLanguageData(data.languages);
                 this.renderSkills(processedSkills);
                 this.displayMetadata(data);
@@ -52,11 +66,13 @@ class GitHubSkills {
     }
 
     /**
-     * Format language data for display
+     * Format language data for display; names are shown as the generator rules emitted them
      */
     formatLanguageData(languages) {
         return languages.map(lang => ({
-            name: this.formatLanguageName(lang.name),
+            name: lang.name,
+            language: lang.name,
+            sources: lang.sources || [lang.name], // Linguist languages merged into this entry
             percent: lang.percent,
             bytes: lang.bytes
         }));
@@ -93,7 +109,7 @@ class GitHubSkills {
 
         return Object.entries(this.languageData)
             .map(([language, bytes]) => ({
-                name: this.formatLanguageName(language),
+                name: language,
                 percent: (bytes / totalBytes) * 100,
                 bytes: bytes
             }))
@@ -103,42 +119,277 @@ class GitHubSkills {
     }
 
     /**
-     * Format language name for display
-     * @param {string} language - Raw language name
-     * @returns {string} Formatted language name
-     */
-    formatLanguageName(language) {
-        // Handle special cases for display
-        const nameMap = {
-            'TypeScript': 'TypeScript',
-            'JavaScript': 'JavaScript',
-            'HTML': 'HTML<span id="puncsign">&amp;</span>CSS',
-            'CSS': 'HTML<span id="puncsign">&amp;</span>CSS',
-            'C#': 'C<span id="puncsign">#</span>',
-            'C++': 'C<span id="puncsign">++</span>',
-            'Python': 'Python',
-            'Java': 'Java',
-            'PHP': 'PHP',
-            'Shell': 'Shell Scripts',
-            'PowerShell': 'PowerShell',
-            'Dockerfile': 'Docker',
-            'JSON': 'JSON',
-            'YAML': 'YAML',
-            'Markdown': 'Markdown'
-        };
+     * Append text to a container, wrapping punctuation in the highlight class like ContentManager.applyStyleToText()
+     * @param {string} text - Plain text
+     * @param {Element} container - Element to append to
+     */
+    appendHighlightedText(text, container) {
+        let buffer = '';
+        Array.from(String(text)).forEach(char => {
+            if (GitHubSkills.punctuation.includes(char)) {
+                if (buffer) {
+                    container.appendChild(document.createTextNode(buffer));
+                    buffer = '';
+                }
+                const span = document.createElement('span');
+                span.className = 'punctuation-highlight';
+                span.textContent = char;
+                container.appendChild(span);
+            } else {
+                buffer += char;
+            }
+        });
+        if (buffer) {
+            container.appendChild(document.createTextNode(buffer));
+        }
+    }
+
+    /**
+     * Replace the panel content with a status message
+     * @param {string} className - loading-message, error-message or no-skills-message
+     * @param {string} text - Message text
+     * @param {string} [icon] - Font Awesome icon classes
+     * @returns {Element} The message element
+     */
+    renderMessage(className, text, icon) {
+        const message = document.createElement('div');
+        message.className = className;
+        if (icon) {
+            const i = document.createElement('i');
+            i.className = icon;
+            i.setAttribute('aria-hidden', 'true');
+            message.appendChild(i);
+            message.appendChild(document.createTextNode(' '));
+        }
+        message.appendChild(document.createTextNode(text));
+
+        this.skillsContainer.innerHTML = '';
+        this.skillsContainer.appendChild(message);
+        return message;
+    }
+
+    /**
+     * Wire up the view toggle of the Technical Skills panel (display modes and trend)
+     */
+    bindViewToggle() {
+        document.querySelectorAll('.skills-view-toggle [data-view]').forEach(button => {
+            button.addEventListener('click', () => this.showView(button.getAttribute('data-view')));
+        });
+        this.updateViewToggle(this.mode);
+    }
+
+    /**
+     * Mark the toggle button of the active view
+     */
+    updateViewToggle(view) {
+        document.querySelectorAll('.skills-view-toggle [data-view]').forEach(button => {
+            const isActive = button.getAttribute('data-view') === view;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Switch between the display modes and the trend chart
+     * @param {string} view - One of GitHubSkills.modes, or "trend"
+     */
+    async showView(view) {
+        this.updateViewToggle(view);
+
+        this.skillsContainer.hidden = view === 'trend';
+        if (this.trendContainer) {
+            this.trendContainer.hidden = view !== 'trend';
+        }
+
+        if (view === 'trend') {
+            if (this.trendContainer && !this.history) {
+                await this.loadHistory();
+            }
+        } else if (view !== this.mode) {
+            this.setMode(view);
+        }
+    }
 
-        return nameMap[language] || language;
+    /**
+     * Fall back to bars for unknown modes
+     */
+    normalizeMode(mode) {
+        return GitHubSkills.modes.includes(mode) ? mode : 'bars';
+    }
+
+    /**
+     * Change the display mode and redraw the loaded skills
+     * @param {string} mode - bars, donut, radar or cloud
+     */
+    setMode(mode) {
+        this.mode = this.normalizeMode(mode);
+        this.skillsContainer.setAttribute('data-mode', this.mode);
+        if (this.skills.length > 0) {
+            this.renderSkills(this.skills);
+        }
+    }
+
+    /**
+     * Linguist color of a language, shared by every mode and the trend chart.
+     * Grouped entries use the color of their first source language.
+     * @param {string} language - Language name as written by the generator
+     * @param {string[]} [sources] - Linguist languages merged into the entry
+     */
+    getLanguageColor(language, sources = []) {
+        const known = [language, ...sources].find(name => GitHubSkills.languageColors[name]);
+        if (known) {
+            return GitHubSkills.languageColors[known];
+        }
+
+        // Stable fallback so a language keeps its color between modes and runs
+        const hash = Array.from(language).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+        return GitHubSkills.fallbackColors[hash % GitHubSkills.fallbackColors.length];
+    }
+
+    /**
+     * Color of a rendered skill
+     */
+    getSkillColor(skill) {
+        return this.getLanguageColor(skill.language || skill.name, skill.sources);
+    }
+
+    /**
+     * Create a namespaced SVG element with attributes
+     */
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Create a color legend
+     * @param {Array} entries - [{ name, percent, color }]
+     */
+    createLegend(entries) {
+        const legend = document.createElement('ul');
+        legend.className = 'skills-legend';
+
+        entries.forEach(({ name, percent, color }) => {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = color;
+            item.appendChild(swatch);
+            this.appendHighlightedText(name, item);
+            item.appendChild(document.createTextNode(` ${Math.round(percent)}%`));
+            legend.appendChild(item);
+        });
+
+        return legend;
+    }
+
+    /**
+     * Load the snapshot history and draw the trend chart
+     */
+    async loadHistory() {
+        try {
+            const response = await fetch(this.historyUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load language history: ${response.status}`);
+            }
+
+            this.history = await response.json();
+            this.renderTrend(this.history.snapshots || []);
+        } catch (error) {
+            console.error('Error loading language history:', error);
+            this.renderTrendMessage('error-message', t('skills.trend.error', 'Unable to load language history'));
+        }
+    }
+
+    /**
+     * Draw an SVG line chart of each language's share across snapshots
+     * @param {Array} snapshots - [{ date, languages: { name: percent } }] sorted by date
+     */
+    renderTrend(snapshots) {
+        if (snapshots.length < 2) {
+            this.renderTrendMessage('no-skills-message', t('skills.trend.empty', 'Not enough history yet'));
+            return;
+        }
+
+        const width = 400;
+        const height = 200;
+        const padding = { top: 10, right: 10, bottom: 24, left: 32 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        // Languages of the latest snapshot, largest first
+        const latest = snapshots[snapshots.length - 1].languages;
+        const languages = Object.keys(latest).sort((a, b) => latest[b] - latest[a]).slice(0, this.maxSkills);
+        const maxPercent = Math.max(10, ...snapshots.flatMap(snapshot => languages.map(name => snapshot.languages[name] || 0)));
+        const yMax = Math.ceil(maxPercent / 10) * 10;
+
+        const times = snapshots.map(snapshot => Date.parse(snapshot.date));
+        const start = times[0];
+        const span = times[times.length - 1] - start || 1;
+        const x = time => padding.left + ((time - start) / span) * plotWidth;
+        const y = percent => padding.top + plotHeight - (percent / yMax) * plotHeight;
+
+        const create = (tag, attributes) => this.createSvgElement(tag, attributes);
+
+        const svg = create('svg', { viewBox: `0 0 ${width} ${height}`, class: 'skills-trend-chart', role: 'img' });
+        const title = create('title', {});
+        title.textContent = t('skills.trend.title', 'Language share over time');
+        svg.appendChild(title);
+
+        // Horizontal grid lines with percent labels
+        for (let percent = 0; percent <= yMax; percent += yMax / 2) {
+            svg.appendChild(create('line', { x1: padding.left, x2: width - padding.right, y1: y(percent), y2: y(percent), class: 'trend-grid' }));
+            const label = create('text', { x: padding.left - 4, y: y(percent) + 3, 'text-anchor': 'end', class: 'trend-axis' });
+            label.textContent = `${percent}%`;
+            svg.appendChild(label);
+        }
+
+        // First and last snapshot dates
+        [0, snapshots.length - 1].forEach(index => {
+            const label = create('text', {
+                x: x(times[index]),
+                y: height - 6,
+                'text-anchor': index === 0 ? 'start' : 'end',
+                class: 'trend-axis'
+            });
+            label.textContent = snapshots[index].date;
+            svg.appendChild(label);
+        });
+
+        const entries = languages.map(name => {
+            const skill = this.skills.find(item => item.language === name);
+            const color = this.getLanguageColor(name, skill ? skill.sources : []);
+            const points = snapshots
+                .map((snapshot, i) => `${x(times[i]).toFixed(1)},${y(snapshot.languages[name] || 0).toFixed(1)}`)
+                .join(' ');
+            svg.appendChild(create('polyline', { points, fill: 'none', stroke: color, 'stroke-width': 2, class: 'trend-line' }));
+
+            return { name, percent: latest[name], color };
+        });
+
+        this.trendContainer.innerHTML = '';
+        this.trendContainer.appendChild(svg);
+        this.trendContainer.appendChild(this.createLegend(entries));
+    }
+
+    /**
+     * Show a status message in place of the trend chart
+     */
+    renderTrendMessage(className, text) {
+        this.trendContainer.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = className;
+        message.textContent = text;
+        this.trendContainer.appendChild(message);
     }
 
     /**
      * Show loading message
      */
     showLoadingMessage() {
-        this.skillsContainer.innerHTML = `
-            <div class="loading-message">
-                <i class="fa fa-spinner fa-spin"></i> Loading skills from GitHub...
-            </div>
-        `;
+        this.renderMessage('loading-message', t('skills.loading', 'Loading skills from GitHub...'), 'fa fa-spinner fa-spin')
+            .setAttribute('role', 'status');
     }
 
     /**
@@ -153,24 +404,39 @@ class GitHubSkills {
     }
 
     /**
-     * Render skills as progress bars
+     * Render skills in the current mode (progress bars, donut, radar or tag cloud)
      * @param {Array} skills - Processed skills data
      */
     renderSkills(skills) {
         if (skills.length === 0) {
-            this.skillsContainer.innerHTML = '<div class="no-skills-message">No programming language data found</div>';
+            this.renderMessage('no-skills-message', t('skills.empty', 'No programming language data found'));
+            window.lifecycle.emit('skills:rendered', { skills });
             return;
         }
 
-        const skillsHTML = skills.map(skill => this.createSkillHTML(skill)).join('');
+        this.skills = skills;
+        const fragment = document.createDocumentFragment();
+        const mode = this.mode === 'radar' && skills.length < 3 ? 'bars' : this.mode; // a radar needs three axes
+        if (mode === 'donut') {
+            fragment.appendChild(this.createDonutElement(skills));
+        } else if (mode === 'radar') {
+            fragment.appendChild(this.createRadarElement(skills));
+        } else if (mode === 'cloud') {
+            fragment.appendChild(this.createCloudElement(skills));
+        } else {
+            skills.forEach((skill, index) => fragment.appendChild(this.createSkillElement(skill, index)));
+        }
+        fragment.appendChild(this.createWeightingElement(this.weighting));
         
         // Add fade-out effect before updating content
         this.skillsContainer.style.opacity = '0.5';
         
         setTimeout(() => {
-            this.skillsContainer.innerHTML = skillsHTML;
+            this.skillsContainer.innerHTML = '';
+            this.skillsContainer.appendChild(fragment);
             this.skillsContainer.style.opacity = '1';
             this.animateProgressBars();
+            window.lifecycle.emit('skills:rendered', { skills, mode, weighting: this.weighting });
         }, 300);
 
         // Only save data for debugging when we have raw data (not when loading static files)
@@ -180,26 +446,381 @@ class GitHubSkills {
     }
 
     /**
-     * Create HTML for a single skill progress bar
+     * Create the label, progress bar and repository list for a single skill
      * @param {Object} skill - Skill data
-     * @returns {string} HTML string
+     * @param {number} index - Position in this.skills, used by the drill-down
+     * @returns {DocumentFragment}
      */
-    createSkillHTML(skill) {
+    createSkillElement(skill, index) {
         const displayPercent = Math.round(skill.percent);
-        
-        return `
-            <label class="progress-bar-label">${skill.name}</label>
-            <div class="progress">
-                <div style="width: ${displayPercent}%;" 
-                     class="progress-bar six-sec-ease-in-out" 
-                     role="progressbar" 
-                     aria-valuenow="${displayPercent}" 
-                     aria-valuemin="0" 
-                     aria-valuemax="100">
-                    <span class="loading">${displayPercent}%</span>
-                </div>
-            </div>
-        `;
+        const fragment = document.createDocumentFragment();
+
+        const label = document.createElement('label');
+        label.className = 'progress-bar-label';
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch';
+        swatch.style.backgroundColor = this.getSkillColor(skill);
+        label.appendChild(swatch);
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'skill-toggle';
+        toggle.id = `skill-name-${index}`;
+        toggle.setAttribute('data-skill-index', index);
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', `skill-repos-${index}`);
+        this.appendHighlightedText(skill.name, toggle);
+        label.appendChild(toggle);
+        fragment.appendChild(label);
+
+        const progress = document.createElement('div');
+        progress.className = 'progress';
+        progress.setAttribute('data-skill-index', index);
+
+        // Named by the toggle and announced as e.g. "Python, 34 percent"
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar six-sec-ease-in-out';
+        bar.style.width = `${displayPercent}%`;
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-labelledby', toggle.id);
+        bar.setAttribute('aria-valuenow', displayPercent);
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        bar.setAttribute('aria-valuetext', t('skills.valuetext', '{percent} percent').replace('{percent}', displayPercent));
+
+        const value = document.createElement('span');
+        value.className = 'loading';
+        value.setAttribute('aria-hidden', 'true');
+        value.textContent = `${displayPercent}%`;
+        bar.appendChild(value);
+        progress.appendChild(bar);
+        fragment.appendChild(progress);
+
+        const repositories = document.createElement('ul');
+        repositories.className = 'skill-repos';
+        repositories.id = `skill-repos-${index}`;
+        repositories.hidden = true;
+        fragment.appendChild(repositories);
+
+        return fragment;
+    }
+
+    /**
+     * Create a donut chart of the language shares, with the remainder shown as "Other"
+     * @param {Array} skills - Processed skills data
+     * @returns {DocumentFragment} Chart and legend
+     */
+    createDonutElement(skills) {
+        const size = 200;
+        const radius = 70;
+        const center = size / 2;
+        const entries = skills.map(skill => ({ name: skill.name, percent: skill.percent, color: this.getSkillColor(skill) }));
+        const rest = 100 - skills.reduce((sum, skill) => sum + skill.percent, 0);
+        if (rest >= 0.5) {
+            entries.push({ name: t('skills.other', 'Other'), percent: rest, color: GitHubSkills.otherColor });
+        }
+
+        const svg = this.createChartSvg(size, size, entries);
+        const point = angle => [
+            (center + radius * Math.cos(angle)).toFixed(2),
+            (center + radius * Math.sin(angle)).toFixed(2)
+        ];
+
+        let start = -Math.PI / 2;
+        entries.forEach(entry => {
+            const sweep = (entry.percent / 100) * 2 * Math.PI;
+            const attributes = { fill: 'none', stroke: entry.color, 'stroke-width': 32, class: 'donut-segment' };
+            let segment;
+            if (sweep >= 2 * Math.PI - 0.001) {
+                segment = this.createSvgElement('circle', { cx: center, cy: center, r: radius, ...attributes });
+            } else {
+                const [x1, y1] = point(start);
+                const [x2, y2] = point(start + sweep);
+                const largeArc = sweep > Math.PI ? 1 : 0;
+                segment = this.createSvgElement('path', { d: `M ${x1} ${y1} A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2}`, ...attributes });
+            }
+            const title = this.createSvgElement('title');
+            title.textContent = `${entry.name} ${Math.round(entry.percent)}%`;
+            segment.appendChild(title);
+            svg.appendChild(segment);
+            start += sweep;
+        });
+
+        return this.createChartFigure('donut', svg, entries);
+    }
+
+    /**
+     * Create a radar chart with one axis per language, scaled to the largest share
+     * @param {Array} skills - Processed skills data (at least three)
+     * @returns {DocumentFragment} Chart and legend
+     */
+    createRadarElement(skills) {
+        // Wider than tall so axis labels on the sides fit
+        const width = 320;
+        const height = 220;
+        const radius = 80;
+        const center = { x: width / 2, y: height / 2 };
+        const entries = skills.map(skill => ({ name: skill.name, percent: skill.percent, color: this.getSkillColor(skill) }));
+        const scale = Math.ceil(Math.max(...skills.map(skill => skill.percent)) / 10) * 10;
+
+        const svg = this.createChartSvg(width, height, entries);
+        const angle = index => -Math.PI / 2 + (index / skills.length) * 2 * Math.PI;
+        const point = (index, distance) => [
+            (center.x + distance * Math.cos(angle(index))).toFixed(2),
+            (center.y + distance * Math.sin(angle(index))).toFixed(2)
+        ];
+
+        // Rings at a quarter of the scale each, then the axes
+        [0.25, 0.5, 0.75, 1].forEach(ratio => {
+            const points = skills.map((skill, index) => point(index, radius * ratio).join(',')).join(' ');
+            svg.appendChild(this.createSvgElement('polygon', { points, class: 'radar-grid' }));
+        });
+        skills.forEach((skill, index) => {
+            const [x, y] = point(index, radius);
+            svg.appendChild(this.createSvgElement('line', { x1: center.x, y1: center.y, x2: x, y2: y, class: 'radar-grid' }));
+
+            const [labelX, labelY] = point(index, radius + 8);
+            const anchor = Math.abs(labelX - center.x) < 1 ? 'middle' : (labelX > center.x ? 'start' : 'end');
+            const label = this.createSvgElement('text', { x: labelX, y: Number(labelY) + 3, 'text-anchor': anchor, class: 'radar-label' });
+            label.textContent = skill.name;
+            svg.appendChild(label);
+        });
+
+        const shape = skills.map((skill, index) => point(index, radius * (skill.percent / scale)).join(',')).join(' ');
+        svg.appendChild(this.createSvgElement('polygon', { points: shape, class: 'radar-area' }));
+
+        skills.forEach((skill, index) => {
+            const [x, y] = point(index, radius * (skill.percent / scale));
+            const dot = this.createSvgElement('circle', { cx: x, cy: y, r: 4, fill: entries[index].color, class: 'radar-point' });
+            const title = this.createSvgElement('title');
+            title.textContent = `${skill.name} ${Math.round(skill.percent)}%`;
+            dot.appendChild(title);
+            svg.appendChild(dot);
+        });
+
+        return this.createChartFigure('radar', svg, entries);
+    }
+
+    /**
+     * Create a tag cloud where each language is sized by its share
+     * @param {Array} skills - Processed skills data
+     * @returns {Element}
+     */
+    createCloudElement(skills) {
+        const max = Math.max(...skills.map(skill => skill.percent));
+        const min = Math.min(...skills.map(skill => skill.percent));
+        const [smallest, largest] = GitHubSkills.cloudFontSizes;
+
+        const cloud = document.createElement('ul');
+        cloud.className = 'skills-cloud';
+        cloud.setAttribute('aria-label', t('skills.chart.title', 'Language share'));
+
+        // Alphabetical, as tag clouds usually are; the size carries the weight
+        [...skills].sort((a, b) => a.name.localeCompare(b.name)).forEach(skill => {
+            const ratio = max === min ? 1 : (skill.percent - min) / (max - min);
+            const item = document.createElement('li');
+            item.style.fontSize = `${Math.round(smallest + ratio * (largest - smallest))}px`;
+            item.style.color = this.getSkillColor(skill);
+            item.title = `${Math.round(skill.percent)}%`;
+            this.appendHighlightedText(skill.name, item);
+
+            const percent = document.createElement('span');
+            percent.className = 'sr-only';
+            percent.textContent = ` ${Math.round(skill.percent)}%`;
+            item.appendChild(percent);
+            cloud.appendChild(item);
+        });
+
+        return cloud;
+    }
+
+    /**
+     * Create the root SVG of a chart, described by its entries for screen readers
+     */
+    createChartSvg(width, height, entries) {
+        const svg = this.createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img' });
+        const title = this.createSvgElement('title');
+        title.textContent = `${t('skills.chart.title', 'Language share')}: ${entries.map(entry => `${entry.name} ${Math.round(entry.percent)}%`).join(', ')}`;
+        svg.appendChild(title);
+        return svg;
+    }
+
+    /**
+     * Wrap a chart and its legend
+     */
+    createChartFigure(mode, svg, entries) {
+        svg.setAttribute('class', `skills-chart skills-${mode}`);
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(svg);
+        fragment.appendChild(this.createLegend(entries));
+        return fragment;
+    }
+
+    /**
+     * Toggle a skill's repository list when its label or bar is clicked
+     */
+    bindDrillDown() {
+        this.skillsContainer.addEventListener('click', event => {
+            const target = event.target.closest('.skill-toggle, .progress[data-skill-index]');
+            if (target) {
+                const index = Number(target.getAttribute('data-skill-index'));
+                this.toggleRepositories(index);
+            }
+        });
+    }
+
+    /**
+     * Expand or collapse the repositories contributing to a skill
+     * @param {number} index - Position in this.skills
+     */
+    async toggleRepositories(index) {
+        const list = document.getElementById(`skill-repos-${index}`);
+        const toggle = this.skillsContainer.querySelector(`.skill-toggle[data-skill-index="${index}"]`);
+        if (!list || !toggle) {
+            return;
+        }
+
+        const expand = list.hidden;
+        list.hidden = !expand;
+        toggle.setAttribute('aria-expanded', String(expand));
+
+        if (expand && !list.hasAttribute('data-loaded')) {
+            await this.renderRepositories(list, this.skills[index]);
+        }
+    }
+
+    /**
+     * Load github-languages-detailed.json once
+     */
+    loadDetails() {
+        if (!this.details) {
+            this.details = fetch(this.detailsUrl).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load repository details: ${response.status}`);
+                }
+                return response.json();
+            });
+            // Allow a retry on the next click if loading failed
+            this.details.catch(() => {
+                this.details = null;
+            });
+        }
+        return this.details;
+    }
+
+    /**
+     * Find the repositories using a skill's languages, largest contribution first
+     * @param {Object} details - Parsed github-languages-detailed.json
+     * @param {Object} skill - Skill data with its linguist sources
+     * @returns {Array} [{ repo, bytes }]
+     */
+    getContributingRepositories(details, skill) {
+        const byRepo = details.languagesByRepo || {};
+
+        return (details.repositories || [])
+            .map(repo => {
+                // Older data files key languagesByRepo by name rather than full_name
+                const languages = byRepo[repo.full_name] || byRepo[repo.name] || {};
+                const bytes = skill.sources.reduce((sum, language) => sum + (languages[language] || 0), 0);
+                return { repo, bytes };
+            })
+            .filter(entry => entry.bytes > 0)
+            .sort((a, b) => b.bytes - a.bytes);
+    }
+
+    /**
+     * Fill a skill's repository list
+     */
+    async renderRepositories(list, skill) {
+        list.innerHTML = '';
+        list.appendChild(this.createRepositoryMessage(t('skills.repos.loading', 'Loading repositories...')));
+
+        try {
+            const entries = this.getContributingRepositories(await this.loadDetails(), skill);
+            list.innerHTML = '';
+
+            if (entries.length === 0) {
+                list.appendChild(this.createRepositoryMessage(t('skills.repos.empty', 'No repositories found')));
+            }
+            entries.forEach(entry => list.appendChild(this.createRepositoryItem(entry)));
+            list.setAttribute('data-loaded', '');
+        } catch (error) {
+            console.error('Error loading repository details:', error);
+            list.innerHTML = '';
+            list.appendChild(this.createRepositoryMessage(t('skills.repos.error', 'Unable to load repository details')));
+        }
+    }
+
+    /**
+     * Create a list item for one contributing repository
+     */
+    createRepositoryItem({ repo, bytes }) {
+        const item = document.createElement('li');
+        item.className = 'skill-repo';
+
+        const link = document.createElement('a');
+        link.href = `https://github.com/${repo.full_name}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = repo.full_name;
+        item.appendChild(link);
+
+        const meta = document.createElement('span');
+        meta.className = 'skill-repo-meta';
+        const parts = [this.formatBytes(bytes), `★ ${repo.stargazers_count || 0}`];
+        if (repo.updated_at) {
+            parts.push(`${t('skills.repos.updated', 'Updated')} ${new Date(repo.updated_at).toLocaleDateString(document.documentElement.lang || undefined)}`);
+        }
+        meta.textContent = parts.join(' · ');
+        item.appendChild(meta);
+
+        if (repo.description) {
+            const description = document.createElement('p');
+            description.textContent = repo.description;
+            item.appendChild(description);
+        }
+
+        return item;
+    }
+
+    /**
+     * Create a status line for a repository list
+     */
+    createRepositoryMessage(text) {
+        const item = document.createElement('li');
+        item.className = 'skill-repo-message';
+        item.textContent = text;
+        return item;
+    }
+
+    /**
+     * Format a byte count as B/KB/MB
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Create the caption naming the weighting model behind the bars
+     * @param {Object} weighting - { model, ...parameters } from github-languages.json
+     * @returns {Element}
+     */
+    createWeightingElement(weighting) {
+        let text = t(`skills.weighting.${weighting.model}`, `Weighted by ${weighting.model}`);
+        if (weighting.halfLifeDays) {
+            text = text.replace('{halfLifeDays}', weighting.halfLifeDays);
+        }
+
+        const caption = document.createElement('p');
+        caption.className = 'skills-weighting';
+        caption.setAttribute('data-weighting', weighting.model);
+        caption.textContent = text;
+        return caption;
     }
 
     /**
@@ -242,17 +863,91 @@ class GitHubSkills {
      */
     handleError(error) {
         console.error('GitHub API Error:', error);
-        this.skillsContainer.innerHTML = `
-            <div class="error-message">
-                <i class="fa fa-exclamation-triangle"></i> Unable to load programming language data from GitHub
-                <br><small>${error}</small>
-            </div>
-        `;
+        this.error = error;
+        this.renderError(error);
+        window.lifecycle.emit('skills:error', { error: new Error(error) });
+    }
+
+    /**
+     * Show the load failure message
+     * @param {string} error - Error message
+     */
+    renderError(error) {
+        const message = this.renderMessage('error-message', t('skills.error', 'Unable to load programming language data from GitHub'), 'fa fa-exclamation-triangle');
+        message.setAttribute('role', 'alert');
+        const detail = document.createElement('small');
+        detail.textContent = error;
+        message.appendChild(detail);
+    }
+
+    /**
+     * Redraw the panel and the trend chart in the new locale
+     */
+    applyLocale() {
+        if (this.skills.length > 0) {
+            this.renderSkills(this.skills);
+        } else if (this.error) {
+            this.renderError(this.error);
+        }
+
+        if (this.history) {
+            this.renderTrend(this.history.snapshots || []);
+        }
     }
 }
 
+// Characters drawn in the accent color in language names (C#, C++, HTML & CSS)
+GitHubSkills.punctuation = ['#', '+', '&'];
+
+// Display modes of #technical-skills (data-mode attribute or the view toggle)
+GitHubSkills.modes = ['bars', 'donut', 'radar', 'cloud'];
+
+// GitHub linguist colors, shared by every mode and the trend chart
+GitHubSkills.languageColors = {
+    'C': '#555555',
+    'C#': '#178600',
+    'C++': '#f34b7d',
+    'CSS': '#563d7c',
+    'Dart': '#00B4AB',
+    'Dockerfile': '#384d54',
+    'F#': '#b845fc',
+    'Go': '#00ADD8',
+    'HCL': '#844FBA',
+    'HTML': '#e34c26',
+    'Java': '#b07219',
+    'JavaScript': '#f1e05a',
+    'Jupyter Notebook': '#DA5B0B',
+    'Kotlin': '#A97BFF',
+    'Lua': '#000080',
+    'Makefile': '#427819',
+    'PHP': '#4F5D95',
+    'PowerShell': '#012456',
+    'Python': '#3572A5',
+    'R': '#198CE7',
+    'Ruby': '#701516',
+    'Rust': '#dea584',
+    'SCSS': '#c6538c',
+    'Scala': '#c22d40',
+    'Shell': '#89e051',
+    'Swift': '#F05138',
+    'TSQL': '#e38c00',
+    'TypeScript': '#3178c6',
+    'Vue': '#41b883'
+};
+
+// Colors for languages missing from the palette
+GitHubSkills.fallbackColors = ['#04d248', '#8250df', '#bf3989', '#1a7f37', '#9a6700', '#0969da', '#cf222e', '#57606a'];
+
+// Remainder segment of the donut
+GitHubSkills.otherColor = '#dddddd';
+
+// Smallest and largest tag cloud font size in px
+GitHubSkills.cloudFontSizes = [13, 32];
+
 // Initialize GitHub skills when DOM is ready
 $(document).ready(function() {
     const githubSkills = new GitHubSkills();
+    window.githubSkills = githubSkills;
+    document.addEventListener('locale:changed', () => githubSkills.applyLocale());
     githubSkills.init();
 });
@@ -0,0 +1,317 @@
+/**
+ * I18n - Locale detection, UI string translation and language switching
+ * Locale priority: ?lang= query parameter, saved choice, navigator.language
+ */
+
+class I18n {
+    constructor() {
+        this.defaultLocale = 'en';
+        this.storageKey = 'preferred-locale';
+        this.contentFiles = {
+            en: '../data/about-content.json',
+            zh: '../data/about-content.zh.json'
+        };
+        this.htmlLang = {
+            en: 'en',
+            zh: 'zh-CN'
+        };
+        this.strings = {
+            en: {
+                'preloader.text': 'Knocking',
+                'greeting.morning': 'Good morning',
+                'greeting.afternoon': 'Good afternoon',
+                'greeting.evening': 'Good evening',
+                'greeting.default': 'Hello',
+                'menu.profile': 'Profile',
+                'menu.contact': 'Contact',
+                'menu.portfolio': 'Portfolio',
+                'menu.blog': 'Blog',
+                'menu.close': 'Close',
+                'menu.language': 'Language',
+                'home.download': 'Download',
+                'home.export': 'Export',
+                'profile.whoAmI': 'Who am I',
+                'profile.skills': 'My Spellbook Usage (Per GitHub)',
+                'profile.showcase': 'My Showcase',
+                'profile.activity': 'My GitHub Activity',
+                'profile.experience': 'My Footprint',
+                'profile.education': 'Hogwarts',
+                'personalInfo.legalName': 'Legal Name',
+                'personalInfo.preferredName': 'Preferred Name',
+                'personalInfo.dateOfBirth': 'Date of birth',
+                'personalInfo.email': 'Email',
+                'personalInfo.phone': 'Phone',
+                'contact.title': 'Get in touch',
+                'contact.location': 'Location',
+                'map.unavailable': 'Map temporarily unavailable',
+                'map.unavailableHint': 'Please check your connection and try again',
+                'map.offline': 'Map unavailable offline',
+                'map.offlineHint': 'It will load when you are back online',
+                'map.current': 'Current location',
+                'map.previous': 'Previous location',
+                'map.previously': 'Previously',
+                'map.closePopup': 'Close',
+                'contact.call': 'Call Me',
+                'contact.enquiries': 'Enquiries',
+                'skills.loading': 'Loading skills from GitHub...',
+                'skills.empty': 'No programming language data found',
+                'skills.error': 'Unable to load programming language data from GitHub',
+                'skills.valuetext': '{percent} percent',
+                'skills.view.label': 'Skills view',
+                'skills.view.bars': 'Bars',
+                'skills.view.donut': 'Donut',
+                'skills.view.radar': 'Radar',
+                'skills.view.cloud': 'Cloud',
+                'skills.view.trend': 'Trend',
+                'skills.trend.title': 'Language share over time',
+                'skills.chart.title': 'Language share',
+                'skills.other': 'Other',
+                'skills.trend.empty': 'Not enough history yet, the trend appears after the next language data update',
+                'skills.trend.error': 'Unable to load language history',
+                'skills.repos.loading': 'Loading repositories...',
+                'skills.repos.empty': 'No repositories found',
+                'skills.repos.error': 'Unable to load repository details',
+                'skills.repos.updated': 'Updated',
+                'skills.weighting.bytes': 'Weighted by bytes of code',
+                'activity.commits': 'Commits',
+                'activity.pullRequests': 'Pull requests',
+                'activity.merged': 'Merged',
+                'activity.issues': 'Issues',
+                'activity.repositories': 'Repositories',
+                'activity.year': 'Year',
+                'activity.calendar': 'contributions in the last year',
+                'showcase.stars': 'Stars',
+                'showcase.updated': 'Updated',
+                'skills.weighting.repos': 'Weighted by number of repositories',
+                'skills.weighting.recency': 'Weighted by bytes of code, halved every {halfLifeDays} days since a repository was updated',
+                'skills.weighting.commits': 'Weighted by my commits to each repository',
+                'skills.weighting.stars': 'Weighted by repository stars',
+                'portfolio.title': 'My Portfolio',
+                'portfolio.all': 'All',
+                'blog.title': 'My Blog',
+                'blog.readMore': 'Read More',
+                'blog.empty': 'No posts yet',
+                'blog.error': 'Unable to load blog posts'
+            },
+            zh: {
+                'preloader.text': '敲门中',
+                'greeting.morning': '早上好',
+                'greeting.afternoon': '下午好',
+                'greeting.evening': '晚上好',
+                'greeting.default': '你好',
+                'menu.profile': '简介',
+                'menu.contact': '联系',
+                'menu.portfolio': '作品',
+                'menu.blog': '博客',
+                'menu.close': '关闭',
+                'menu.language': '语言',
+                'home.download': '下载简历',
+                'home.export': '导出',
+                'profile.whoAmI': '我是谁',
+                'profile.skills': '我的技能（来自 GitHub）',
+                'profile.showcase': '项目展示',
+                'profile.activity': 'GitHub 活跃度',
+                'profile.experience': '工作经历',
+                'profile.education': '教育背景',
+                'personalInfo.legalName': '姓名',
+                'personalInfo.preferredName': '英文名',
+                'personalInfo.dateOfBirth': '出生日期',
+                'personalInfo.email': '邮箱',
+                'personalInfo.phone': '电话',
+                'contact.title': '联系我',
+                'contact.location': '所在地',
+                'map.unavailable': '地图暂时不可用',
+                'map.unavailableHint': '请检查网络连接后重试',
+                'map.offline': '离线时无法显示地图',
+                'map.offlineHint': '恢复网络后将自动加载',
+                'map.current': '当前所在地',
+                'map.previous': '曾经所在地',
+                'map.previously': '曾居住于',
+                'map.closePopup': '关闭',
+                'contact.call': '电话',
+                'contact.enquiries': '邮件咨询',
+                'skills.loading': '正在从 GitHub 加载技能数据...',
+                'skills.empty': '未找到编程语言数据',
+                'skills.error': '无法从 GitHub 加载编程语言数据',
+                'skills.valuetext': '{percent}%',
+                'skills.view.label': '技能视图',
+                'skills.view.bars': '占比',
+                'skills.view.donut': '环形',
+                'skills.view.radar': '雷达',
+                'skills.view.cloud': '词云',
+                'skills.view.trend': '趋势',
+                'skills.trend.title': '语言占比变化',
+                'skills.chart.title': '语言占比',
+                'skills.other': '其他',
+                'skills.trend.empty': '历史数据不足，下次更新语言数据后即可查看趋势',
+                'skills.trend.error': '无法加载语言历史数据',
+                'skills.repos.loading': '正在加载仓库...',
+                'skills.repos.empty': '未找到相关仓库',
+                'skills.repos.error': '无法加载仓库详情',
+                'skills.repos.updated': '更新于',
+                'skills.weighting.bytes': '按代码字节数加权',
+                'activity.commits': '提交',
+                'activity.pullRequests': '拉取请求',
+                'activity.merged': '已合并',
+                'activity.issues': '议题',
+                'activity.repositories': '参与仓库',
+                'activity.year': '年份',
+                'activity.calendar': '次贡献（近一年）',
+                'showcase.stars': '星标',
+                'showcase.updated': '更新于',
+                'skills.weighting.repos': '按仓库数量加权',
+                'skills.weighting.recency': '按代码字节数加权，仓库每闲置 {halfLifeDays} 天权重减半',
+                'skills.weighting.commits': '按我在各仓库的提交次数加权',
+                'skills.weighting.stars': '按仓库星标数加权',
+                'portfolio.title': '我的作品',
+                'portfolio.all': '全部',
+                'blog.title': '我的博客',
+                'blog.readMore': '阅读全文',
+                'blog.empty': '暂无文章',
+                'blog.error': '无法加载博客文章'
+            }
+        };
+        this.locale = this.detectLocale();
+    }
+
+    /**
+     * Detect the active locale
+     */
+    detectLocale() {
+        const candidates = [
+            new URLSearchParams(window.location.search).get('lang'),
+            this.getSavedLocale(),
+            ...(navigator.languages || [navigator.language])
+        ];
+
+        for (const candidate of candidates) {
+            const locale = this.normalizeLocale(candidate);
+            if (locale) {
+                return locale;
+            }
+        }
+        return this.defaultLocale;
+    }
+
+    /**
+     * Map a language tag such as "zh-CN" to a supported locale, or null
+     */
+    normalizeLocale(tag) {
+        if (!tag) {
+            return null;
+        }
+        const language = String(tag).toLowerCase().split(/[-_]/)[0];
+        return this.strings[language] ? language : null;
+    }
+
+    /**
+     * Read the locale saved by the language switcher
+     */
+    getSavedLocale() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the list of supported locales
+     */
+    getLocales() {
+        return Object.keys(this.strings);
+    }
+
+    /**
+     * Translate a UI string, falling back to the default locale, then the fallback text and then the key
+     */
+    t(key, fallback) {
+        return this.strings[this.locale]?.[key] ??
+               this.strings[this.defaultLocale]?.[key] ??
+               fallback ??
+               key;
+    }
+
+    /**
+     * Get the content file for the active locale
+     */
+    getContentUrl(locale = this.locale) {
+        return this.contentFiles[locale] || this.contentFiles[this.defaultLocale];
+    }
+
+    /**
+     * Translate every [data-i18n] element and update the document language
+     */
+    apply(root = document) {
+        document.documentElement.lang = this.htmlLang[this.locale] || this.locale;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.setAttribute('title', this.t(element.getAttribute('data-i18n-title')));
+        });
+
+        document.querySelectorAll('.lang-switch [data-lang]').forEach(option => {
+            const isActive = option.getAttribute('data-lang') === this.locale;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Switch locale, persist the choice and announce it with a locale:changed lifecycle event
+     * so the modules re-render their translated content
+     */
+    setLocale(locale) {
+        const normalized = this.normalizeLocale(locale);
+        if (!normalized || normalized === this.locale) {
+            return;
+        }
+
+        this.locale = normalized;
+
+        try {
+            localStorage.setItem(this.storageKey, normalized);
+        } catch (error) {
+            console.warn('Could not save locale preference:', error);
+        }
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('lang', normalized);
+        window.history.replaceState(window.history.state, '', url);
+
+        this.apply();
+        window.lifecycle.emit('locale:changed', { locale: normalized });
+    }
+
+    /**
+     * Wire up the language switcher in the inline menu
+     */
+    bindSwitcher() {
+        document.querySelectorAll('.lang-switch [data-lang]').forEach(option => {
+            option.addEventListener('click', event => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.setLocale(option.getAttribute('data-lang'));
+            });
+        });
+    }
+}
+
+// Global instance (created immediately so other scripts can translate while loading)
+window.i18n = new I18n();
+
+/**
+ * Shared translation helper for the other modules: t('skills.loading', 'Loading skills...')
+ */
+function t(key, fallback) {
+    return window.i18n.t(key, fallback);
+}
+
+// Apply translations when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.i18n.apply();
+    window.i18n.bindSwitcher();
+});
@@ -0,0 +1,284 @@
+/**
+ * JSON Resume Converter - Maps about-content.json to and from the JSON Resume schema
+ * https://jsonresume.org/schema/
+ * Runs unchanged in the browser (Export button) and in Node (convert-resume.js)
+ */
+
+class JsonResumeConverter {
+    constructor() {
+        this.schemaUrl = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+        this.months = [
+            'January', 'February', 'March', 'April', 'May', 'June',
+            'July', 'August', 'September', 'October', 'November', 'December'
+        ];
+        this.currentLabels = ['current', 'present', 'now', '至今'];
+    }
+
+    /**
+     * Convert about-content.json data into a JSON Resume document
+     * @param {Object} content - Full about-content.json ({ sections, styling })
+     * @returns {Object} JSON Resume document
+     */
+    toJsonResume(content) {
+        const sections = content?.sections || {};
+        const info = sections.personalInfo || {};
+
+        const basics = {
+            name: info.legalName || '',
+            email: info.email || '',
+            phone: (info.phones || [])[0] || '',
+            summary: (sections.whoAmI?.content || []).join('\n'),
+            profiles: []
+        };
+
+        // Non-standard fields kept so an export can be imported back without loss
+        if (info.preferredName) basics.preferredName = info.preferredName;
+        if (info.dateOfBirth) basics.dateOfBirth = info.dateOfBirth;
+        if ((info.phones || []).length > 1) basics.phones = info.phones;
+
+        return {
+            $schema: this.schemaUrl,
+            basics,
+            work: (sections.experience || []).map(exp => this.toWork(exp)),
+            education: (sections.education || []).map(edu => this.toEducation(edu)),
+            projects: (sections.showcase || []).map(project => this.toProject(project)),
+            skills: (sections.knowHow || []).length > 0
+                ? [{ name: 'Know-how', keywords: sections.knowHow.slice() }]
+                : [],
+            meta: {
+                version: 'v1.0.0',
+                lastModified: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Convert a JSON Resume document into about-content.json data
+     * @param {Object} resume - JSON Resume document
+     * @param {Object} [existing] - The about-content.json being replaced; its styling rules and
+     *   whoAmI title are kept (JSON Resume has no equivalent)
+     * @returns {Object} about-content.json data ({ sections, styling })
+     */
+    fromJsonResume(resume, existing = {}) {
+        const basics = resume?.basics || {};
+        const phones = basics.phones || (basics.phone ? [basics.phone] : []);
+        const whoAmI = {};
+        if (existing.sections?.whoAmI?.title) {
+            whoAmI.title = existing.sections.whoAmI.title;
+        }
+        whoAmI.content = String(basics.summary || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        return {
+            sections: {
+                whoAmI,
+                personalInfo: {
+                    legalName: basics.name || '',
+                    preferredName: basics.preferredName || (basics.name || '').split(' ')[0],
+                    dateOfBirth: basics.dateOfBirth || '',
+                    email: basics.email || '',
+                    phones
+                },
+                knowHow: (resume.skills || []).flatMap(skill =>
+                    skill.keywords && skill.keywords.length > 0 ? skill.keywords : [skill.name]
+                ).filter(Boolean),
+                showcase: (resume.projects || []).map(project => this.fromProject(project)),
+                experience: (resume.work || []).map(work => this.fromWork(work)),
+                education: (resume.education || []).map(edu => this.fromEducation(edu))
+            },
+            styling: existing.styling || JsonResumeConverter.defaultStyling
+        };
+    }
+
+    /**
+     * Map an experience entry ("Position – Department, Company") to a work entry
+     */
+    toWork(exp) {
+        const [position, organization = ''] = String(exp.title || '').split(/\s+[–—-]\s+/);
+        const commaIndex = organization.lastIndexOf(',');
+        const period = this.parsePeriod(exp.period);
+
+        const work = {
+            name: commaIndex >= 0 ? organization.slice(commaIndex + 1).trim() : organization.trim(),
+            position: position.trim()
+        };
+        if (commaIndex >= 0) {
+            work.description = organization.slice(0, commaIndex).trim();
+        }
+        if (period.startDate) work.startDate = period.startDate;
+        if (period.endDate) work.endDate = period.endDate;
+        // Non-standard: the original wording of the period, e.g. "Aug 2016" rather than "August 2016"
+        if (exp.period) work.period = exp.period;
+        work.highlights = (exp.details || []).slice();
+        return work;
+    }
+
+    /**
+     * Map a work entry back to an experience entry
+     */
+    fromWork(work) {
+        const organization = [work.description, work.name].filter(Boolean).join(', ');
+        return {
+            title: organization ? `${work.position || ''} – ${organization}` : (work.position || ''),
+            period: this.restorePeriod(work),
+            details: work.highlights || (work.summary ? [work.summary] : [])
+        };
+    }
+
+    /**
+     * Map an education entry ("Study Type in Area") to a JSON Resume education entry
+     */
+    toEducation(edu) {
+        const [studyType, area] = String(edu.degree || '').split(/\s+in\s+/);
+        const period = this.parsePeriod(edu.period);
+
+        const education = {
+            institution: edu.institution,
+            url: edu.institutionUrl,
+            studyType: studyType.trim()
+        };
+        // Non-standard field for a second institution link, kept for the round trip
+        if (edu.institutionUrl2) education.institutionUrl2 = edu.institutionUrl2;
+        if (area) education.area = area.trim();
+        if (period.startDate) education.startDate = period.startDate;
+        if (period.endDate) education.endDate = period.endDate;
+        if (edu.period) education.period = edu.period;
+        return education;
+    }
+
+    /**
+     * Map a JSON Resume education entry back to an education entry
+     */
+    fromEducation(edu) {
+        const education = {
+            degree: edu.area ? `${edu.studyType || ''} in ${edu.area}`.trim() : (edu.studyType || ''),
+            institution: edu.institution || '',
+            institutionUrl: edu.url || ''
+        };
+        if (edu.institutionUrl2) education.institutionUrl2 = edu.institutionUrl2;
+        education.period = this.restorePeriod(edu);
+        return education;
+    }
+
+    /**
+     * Parse "July 2024 - Current" into ISO-8601 partial dates
+     * @returns {Object} { startDate, endDate } (endDate omitted while current)
+     */
+    parsePeriod(period) {
+        const [start, end] = String(period || '').split(/\s+-\s+/);
+        return {
+            startDate: this.parseMonth(start),
+            endDate: end && !this.currentLabels.includes(end.trim().toLowerCase())
+                ? this.parseMonth(end)
+                : null
+        };
+    }
+
+    /**
+     * Parse "Sept 2007" / "August, 1988" into "2007-09"
+     */
+    parseMonth(text) {
+        const match = String(text || '').match(/([A-Za-z]+)\.?,?\s+(\d{4})/);
+        if (!match) {
+            const year = String(text || '').match(/\d{4}/);
+            return year ? year[0] : null;
+        }
+
+        const prefix = match[1].slice(0, 3).toLowerCase();
+        const monthIndex = this.months.findIndex(month => month.slice(0, 3).toLowerCase() === prefix);
+        if (monthIndex < 0) {
+            return match[2];
+        }
+        return `${match[2]}-${String(monthIndex + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * The original period text of a work or education entry while it still matches its dates,
+     * otherwise the period formatted from startDate and endDate
+     */
+    restorePeriod(entry) {
+        if (entry.period) {
+            const parsed = this.parsePeriod(entry.period);
+            if (parsed.startDate === (entry.startDate || null) && parsed.endDate === (entry.endDate || null)) {
+                return entry.period;
+            }
+        }
+        return this.formatPeriod(entry.startDate, entry.endDate);
+    }
+
+    /**
+     * Format ISO-8601 partial dates back into "July 2024 - Current"
+     */
+    formatPeriod(startDate, endDate) {
+        return `${this.formatMonth(startDate)} - ${endDate ? this.formatMonth(endDate) : 'Current'}`;
+    }
+
+    /**
+     * Format "2024-07" as "July 2024"
+     */
+    formatMonth(date) {
+        const match = String(date || '').match(/^(\d{4})(?:-(\d{2}))?/);
+        if (!match) {
+            return '';
+        }
+        return match[2] ? `${this.months[Number(match[2]) - 1]} ${match[1]}` : match[1];
+    }
+
+    /**
+     * Map a resolved showcase entry to a JSON Resume project
+     */
+    toProject(project) {
+        const result = {
+            name: project.title,
+            url: project.url,
+            description: project.description,
+            highlights: (project.details || []).slice()
+        };
+        // Non-standard: keeps the repository link when the url is an override
+        if (project.repo) {
+            result.repo = project.repo;
+        }
+        return result;
+    }
+
+    /**
+     * Map a JSON Resume project back to a showcase entry, linking GitHub URLs to their repository
+     */
+    fromProject(project) {
+        const entry = {
+            title: project.name || '',
+            url: project.url || ''
+        };
+        const match = entry.url.match(/^https?:\/\/github\.com\/([\w.-]+\/[\w.-]+?)(?:\.git)?\/?$/);
+        if (project.repo || match) {
+            entry.repo = project.repo || match[1];
+        }
+        entry.description = project.description || '';
+        entry.details = project.highlights || [];
+        return entry;
+    }
+}
+
+JsonResumeConverter.defaultStyling = {
+    firstLetterRule: {
+        enabled: true,
+        className: 'first-letter'
+    },
+    punctuationRule: {
+        enabled: true,
+        className: 'punctuation-highlight',
+        characters: ['+', ';', ',', ':', '.', '/', '-', "'", '!', '?', '&', '(', ')']
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonResumeConverter;
+}
+
+// Export for global usage
+if (typeof window !== 'undefined') {
+    window.JsonResumeConverter = JsonResumeConverter;
+}
@@ -0,0 +1,75 @@
+/**
+ * Page Lifecycle - Shared milestones for the independently loaded modules
+ * Each milestone is dispatched as a DOM CustomEvent on document and remembered,
+ * so late subscribers using when() still resolve for events that already fired.
+ *
+ * Events: content:loaded, content:rendered, content:error,
+ *         skills:rendered, skills:error, map:ready, map:error, locale:changed
+ */
+
+class PageLifecycle {
+    constructor() {
+        this.fired = new Map();
+    }
+
+    /**
+     * Dispatch a lifecycle event and remember its detail
+     * @param {string} name - Event name, e.g. 'content:rendered'
+     * @param {Object} detail - Event payload
+     */
+    emit(name, detail = {}) {
+        this.fired.set(name, detail);
+        document.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+
+    /**
+     * Check whether an event has fired at least once
+     */
+    hasFired(name) {
+        return this.fired.has(name);
+    }
+
+    /**
+     * Forget a fired event so a retried step can fire it again (e.g. map:error before a retry)
+     * @param {string} name - Event name
+     */
+    reset(name) {
+        this.fired.delete(name);
+    }
+
+    /**
+     * Resolve with the event detail once the event has fired (immediately if it already has)
+     * @param {string} name - Event name
+     * @returns {Promise<Object>}
+     */
+    when(name) {
+        if (this.fired.has(name)) {
+            return Promise.resolve(this.fired.get(name));
+        }
+        return new Promise(resolve => {
+            document.addEventListener(name, event => resolve(event.detail), { once: true });
+        });
+    }
+
+    /**
+     * Resolve on the success event, reject on the error event, whichever fires first
+     * @param {string} successName - e.g. 'map:ready'
+     * @param {string} errorName - e.g. 'map:error'
+     * @returns {Promise<Object>}
+     */
+    whenSettled(successName, errorName) {
+        const promise = Promise.race([
+            this.when(successName),
+            this.when(errorName).then(detail => {
+                throw detail.error || new Error(`${errorName} fired`);
+            })
+        ]);
+
+        // Avoid unhandled rejection warnings when nobody awaits the module promise
+        promise.catch(() => {});
+        return promise;
+    }
+}
+
+// Global instance
+window.lifecycle = new PageLifecycle();
@@ -1,5 +1,8 @@
+//Users who prefer reduced motion skip the preloader fade and slide
+var reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
 $(window).on('load', function() {
-    $(".preloader").fadeOut("slow", function(){
+    $(".preloader").fadeOut(reduceMotion ? 0 : "slow", function(){
       	$(".preloader-left").addClass("slide-left");
       	$(".preloader-right").addClass("slide-right");
       	$("#portfolio-case").addClass("full-portfolio");
@@ -7,109 +10,172 @@ $(window).on('load', function() {
 });
 
 $('.menu-item').on( 'click', function() {
-  //Portfolio masonry
-  var $container = $('#projects');
-  $container.isotope({
+  //Portfolio masonry (items are rendered by portfolio.js)
+  $('#projects').isotope({
     masonry: {
       columnWidth: 0
     },
     itemSelector: '.project',
 
   });
+});
 
-  //Portfolio filters
-  $('#filters').on( 'click', 'li', function() {
-    $('#filters li').removeClass('active');
-    $(this).addClass('active');
-    var filterValue = $(this).attr('data-filter');
-    $container.isotope({ filter: filterValue, sortBy: 'random' });
-  });
-
+//Portfolio filters (delegated, the filter list is generated from project tags)
+$(document).on( 'click', '#filters li', function() {
+  $('#filters li').removeClass('active').attr('aria-pressed', 'false');
+  $(this).addClass('active').attr('aria-pressed', 'true');
+  var filterValue = $(this).attr('data-filter');
+  $('#projects').isotope({ filter: filterValue, sortBy: 'random' });
 });
 
-//Portfolio Modal
-$('.open-project').on('click', function(){
-  var projectUrl = $(this).attr("href");
+//Keep Tab/Shift+Tab cycling inside an open modal
+function trapFocus(e) {
+  if (e.key !== 'Tab') return;
+
+  var focusable = $(this).find('a[href], button, input, textarea, select, [tabindex]:not([tabindex="-1"])').filter(':visible');
+  if (!focusable.length) return;
+
+  var first = focusable[0];
+  var last = focusable[focusable.length - 1];
+  if (e.shiftKey && (document.activeElement === first || document.activeElement === this)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+//Build a project/post modal with dialog semantics, focus trapping and focus return
+function openContentModal(id, className, remoteUrl) {
+  var opener = document.activeElement;
+  var closeLabel = t('menu.close', 'Close');
+  var modal = '<div class="' + className + '" id="' + id + '" role="dialog" aria-modal="true" tabindex="-1"><div class="inline-menu-container"><button type="button" id="modal-close" class="close" data-dismiss="modal" aria-label="' + closeLabel + '"><span aria-hidden="true">&times;</span></button></div><div class="modal-dialog" role="document"><div class="modal-content"></div></div></div>';
+
+  return $(modal).on('loaded.bs.modal', function() {
+    //Label the dialog with the heading of the loaded page
+    var heading = $(this).find('.modal-content').find('h1, h2, h3').first();
+    if (heading.length) {
+      heading.attr('id', id + '-title');
+      $(this).attr('aria-labelledby', id + '-title');
+    }
+  }).on('keydown', trapFocus).on('hidden.bs.modal', function() {
+    $(this).remove();
+    if (opener && document.body.contains(opener)) {
+      opener.focus();
+    }
+  }).modal({
+    remote: remoteUrl
+  });
+}
 
-  var project = '<div class="modal fade" id="project-modal"><div class="inline-menu-container"><a id="modal-close" class="close" data-dismiss="modal"><span aria-hidden="true">&times;</span></a></div><div class="modal-dialog"><div class="modal-content"></div></div></div>';
+//Open a project detail page in the project modal
+function openProjectModal(projectUrl) {
+  return openContentModal('project-modal', 'modal fade', projectUrl + ' #project');
+}
 
-  $(project).modal({
-    remote: projectUrl + ' #project'
-  });
+//Open a blog post in the post modal
+function openPostModal(postUrl) {
+  return openContentModal('post-modal', 'modal', postUrl + ' #post');
+}
 
+//Portfolio Modal (delegated, projects are rendered by portfolio.js)
+$(document).on('click', '.open-project', function(){
+  openProjectModal($(this).attr("href"));
   return false;
-
 });
 
-//Blog post Modal
-$('.open-post').on('click', function(){
-  var postUrl = $(this).attr("href");
-
-  var post = '<div class="modal" id="post-modal"><div class="inline-menu-container"><a id="modal-close" class="close" data-dismiss="modal"><span aria-hidden="true">&times;</span></a></div><div class="modal-dialog"><div class="modal-content"></div></div></div>';
-
-  $(post).modal({
-    remote: postUrl + ' #post'
-  });
-
+//Blog post Modal (delegated, cards are rendered by blog.js)
+$(document).on('click', '.open-post', function(){
+  openPostModal($(this).attr("href"));
   return false;
-
 });
 
-//On Click Open Menu Items
-$('.menu-item').on( 'click', function() {
+//Name of the open content block, used to return focus on close
+var openBlockName = null;
+
+//Show a content block (about, portfolio, blog or contact)
+function openBlock(name) {
+  var $block = $('.content-blocks.' + name);
+  var alreadyOpen = $block.hasClass('showx');
+
   $('.name-block').addClass('reverse');
   $('.name-block-container').addClass('reverse');
   $('.menu-blocks').addClass('hidex');
   $('.inline-menu-container').removeClass('hidex');
   $('.inline-menu-container').addClass('showx');
-});
-//On Click Open About/Resume Block
-$('.about').on( 'click', function() {
+
   $('.content-blocks').removeClass('showx');
   $('.content-blocks').addClass('hidex');
-  $('.content-blocks.about').removeClass('hidex');
-  $('.content-blocks.about').addClass('showx');
+  $('.content-blocks.' + name).removeClass('hidex');
+  $('.content-blocks.' + name).addClass('showx');
   $('.menu-item').removeClass('active');
-  $('.menu-item.about').addClass('active');
-});
-//On Click Open Portfolio Block
-$('.portfolio').on( 'click', function() {
+  $('.menu-item.' + name).addClass('active');
+  $('.menu-item').attr('aria-expanded', 'false');
+  $('.menu-item.' + name).attr('aria-expanded', 'true');
+
+  //Move focus into the block so keyboard and screen reader users land on its content
+  openBlockName = name;
+  if (!alreadyOpen) {
+    $block.trigger('focus');
+  }
+}
+
+//Close all blocks and return to the home screen
+function closeBlocks() {
+  $('.name-block').removeClass('reverse');
+  $('.name-block-container').removeClass('reverse');
+  $('.menu-blocks').removeClass('hidex');
   $('.content-blocks').removeClass('showx');
   $('.content-blocks').addClass('hidex');
-  $('.content-blocks.portfolio').removeClass('hidex');
-  $('.content-blocks.portfolio').addClass('showx');
+  $('.inline-menu-container').removeClass('showx');
+  $('.inline-menu-container').addClass('hidex');
   $('.menu-item').removeClass('active');
-  $('.menu-item.portfolio').addClass('active');
+  $('.menu-item').attr('aria-expanded', 'false');
+
+  //Return focus to the menu entry of the block that was open
+  if (openBlockName) {
+    $('.menu-blocks .menu-item.' + openBlockName).trigger('focus');
+    openBlockName = null;
+  }
+}
+
+//On Click Open About/Resume Block
+$('.about').on( 'click', function() {
+  openBlock('about');
 });
-  //On Click Open Blog Block
+//On Click Open Portfolio Block
+$('.portfolio').on( 'click', function() {
+  openBlock('portfolio');
+});
+//On Click Open Blog Block
 $('.blog').on( 'click', function() {
-  $('.content-blocks').removeClass('showx');
-  $('.content-blocks').addClass('hidex');
-  $('.content-blocks.blog').removeClass('hidex');
-  $('.content-blocks.blog').addClass('showx');
-  $('.menu-item').removeClass('active');
-  $('.menu-item.blog').addClass('active');
+  openBlock('blog');
 });
 //On Click Open Contact Block
 $('.contact').on( 'click', function() {
-  $('.content-blocks').removeClass('showx');
-  $('.content-blocks').addClass('hidex');
-  $('.content-blocks.contact').removeClass('hidex');
-  $('.content-blocks.contact').addClass('showx');
-  $('.menu-item').removeClass('active');
-  $('.menu-item.contact').addClass('active');
+  openBlock('contact');
 });
 
 //On Click Close Blocks
 $('#close').on( 'click', function() {
-  $('.name-block').removeClass('reverse');
-  $('.name-block-container').removeClass('reverse');
-  $('.menu-blocks').removeClass('hidex');
-  $('.content-blocks').removeClass('showx');
-  $('.content-blocks').addClass('hidex');
-  $('.inline-menu-container').removeClass('showx');
-  $('.inline-menu-container').addClass('hidex');
-  $('.menu-item').removeClass('active');
+  closeBlocks();
+});
+
+//Enter/Space activate menu items, portfolio filters and the close button (role="button")
+$(document).on('keydown', '.menu-item, #filters li, #close', function(e) {
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    $(this).trigger('click');
+  }
+});
+
+//Escape closes the open block (modals handle their own Escape)
+$(document).on('keydown', function(e) {
+  if (e.key !== 'Escape' || $(e.target).closest('.modal').length || $('.modal.in').length) return;
+  if ($('.content-blocks.showx').length) {
+    $('#close').trigger('click');
+  }
 });
 
 //Placeholder
@@ -123,8 +189,8 @@ $('input,textarea').blur(function(){
 
 $('input, textarea').placeholder();
 
-//waypoints & animated.css scroll effect
-$(document).ready(function() {
+//waypoints & animated.css scroll effect (wait until dynamic content exists)
+window.lifecycle.when('content:rendered').then(function() {
     $('.js--wp-fadeInUp').waypoint(function(direction) {
       $('.js--wp-fadeInUp').addClass('animated fadeInUp');
     }, {
@@ -132,3 +198,13 @@ $(document).ready(function() {
     });
 });
 
+
+//Offline support (skipped on localhost so edits aren't served from the cache; add ?sw to test it)
+if ('serviceWorker' in navigator &&
+    (!/^(localhost|127\.0\.0\.1)$/.test(window.location.hostname) || /[?&]sw\b/.test(window.location.search))) {
+  $(window).on('load', function() {
+    navigator.serviceWorker.register('sw.js').catch(function(error) {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+}
@@ -0,0 +1,392 @@
+/**
+ * Map Providers - Keyless fallbacks for the contact map
+ * AzureMapsIntegration uses Azure Maps when a subscription key is available; otherwise
+ * (or when data/map.json says so) it renders one of these providers instead:
+ *
+ *   static   SVG map card, or a configured image with its geographic bounds (no network needed)
+ *   tiles    Fixed view built from a keyless XYZ tile server, e.g. OpenStreetMap
+ *
+ * Every provider draws the same pin/pulse markers as the Azure Maps HtmlMarkers, one per
+ * location, with the same popup content (MapProvider.createPopupContent).
+ */
+
+class MapProvider {
+    /**
+     * Create a provider by name
+     * @param {string} name - Key of MapProvider.providers
+     * @param {Object} [options] - Provider section of data/map.json
+     */
+    static create(name, options = {}) {
+        const Provider = MapProvider.providers[name];
+        if (!Provider) {
+            throw new Error(`Unknown map provider "${name}" (expected ${Object.keys(MapProvider.providers).join(', ')})`);
+        }
+        return new Provider(options);
+    }
+
+    /**
+     * [west, south, east, north] around every location
+     */
+    static getBounds(locations) {
+        const longitudes = locations.map(location => location.coordinates[0]);
+        const latitudes = locations.map(location => location.coordinates[1]);
+        return [Math.min(...longitudes), Math.min(...latitudes), Math.max(...longitudes), Math.max(...latitudes)];
+    }
+
+    /**
+     * Marker HTML for a location: current (and unflagged) locations pulse, previous ones are muted
+     */
+    static getMarkerHtml(location) {
+        return location.previous ? MapProvider.previousMarkerHtml : MapProvider.markerHtml;
+    }
+
+    /**
+     * Popup body for a location, shared with the Azure Maps popups
+     * @param {Object} location - { label, description, current, previous }
+     */
+    static createPopupContent(location) {
+        const content = document.createElement('div');
+        content.className = 'map-popup-content';
+
+        const label = document.createElement('strong');
+        label.textContent = location.label;
+        content.appendChild(label);
+
+        const status = location.current ? t('map.current', 'Current location')
+            : location.previous ? t('map.previous', 'Previous location') : null;
+        if (status) {
+            const small = document.createElement('small');
+            small.textContent = status;
+            content.appendChild(small);
+        }
+
+        if (location.description) {
+            const description = document.createElement('p');
+            description.textContent = location.description;
+            content.appendChild(description);
+        }
+
+        return content;
+    }
+
+    /**
+     * Render the map into a container
+     * @param {Element} container - Map element (#map)
+     * @param {Object} view - { locations: [{ label, coordinates, description, current, previous }], center, zoom }
+     */
+    render(container, view) {
+        throw new Error('render() must be implemented by the provider');
+    }
+
+    /**
+     * Add a location marker positioned at a CSS left/top (px or %); clicking it toggles its popup
+     */
+    addMarker(map, location, left, top) {
+        const [offsetX, offsetY] = MapProvider.markerOffset;
+        const marker = document.createElement('button');
+        marker.type = 'button';
+        marker.className = location.previous ? 'map-marker map-marker-previous' : 'map-marker';
+        marker.style.left = `calc(${left} + ${offsetX}px)`;
+        marker.style.top = `calc(${top} + ${offsetY}px)`;
+        marker.setAttribute('aria-label', location.label);
+        marker.setAttribute('aria-expanded', 'false');
+        marker.innerHTML = MapProvider.getMarkerHtml(location);
+
+        marker.addEventListener('click', () => {
+            const wasOpen = marker.getAttribute('aria-expanded') === 'true';
+            this.closePopup(map);
+            if (!wasOpen) {
+                this.openPopup(map, marker, location, left, top);
+            }
+        });
+
+        map.appendChild(marker);
+        return marker;
+    }
+
+    /**
+     * Show a location's popup above its marker
+     */
+    openPopup(map, marker, location, left, top) {
+        const popup = document.createElement('div');
+        popup.className = 'map-popup';
+        popup.style.left = left;
+        popup.style.top = top;
+        popup.appendChild(MapProvider.createPopupContent(location));
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'map-popup-close';
+        close.setAttribute('aria-label', t('map.closePopup', 'Close'));
+        close.innerHTML = '<span aria-hidden="true">&times;</span>';
+        close.addEventListener('click', () => {
+            this.closePopup(map);
+            marker.focus();
+        });
+        popup.appendChild(close);
+
+        marker.setAttribute('aria-expanded', 'true');
+        map.appendChild(popup);
+    }
+
+    /**
+     * Close the open popup, if any
+     */
+    closePopup(map) {
+        map.querySelectorAll('.map-popup').forEach(popup => popup.remove());
+        map.querySelectorAll('.map-marker[aria-expanded="true"]').forEach(marker => {
+            marker.setAttribute('aria-expanded', 'false');
+        });
+    }
+
+    /**
+     * Create the attribution line shown in the bottom-right corner
+     */
+    createAttribution(text) {
+        const attribution = document.createElement('div');
+        attribution.className = 'map-attribution';
+        attribution.textContent = text;
+        return attribution;
+    }
+
+    /**
+     * Format coordinates as e.g. 31.02°N, 121.45°E
+     */
+    formatCoordinates([longitude, latitude]) {
+        const lat = `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}`;
+        const lon = `${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+        return `${lat}, ${lon}`;
+    }
+}
+
+class StaticMapProvider extends MapProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.image] - Map image stretched over the container
+     * @param {number[]} [options.bounds] - [west, south, east, north] of the image (equirectangular)
+     * @param {string} [options.attribution] - Credit for the image
+     */
+    constructor(options = {}) {
+        super();
+        this.image = options.image || null;
+        this.bounds = options.bounds || null;
+        this.attribution = options.attribution || null;
+    }
+
+    render(container, view) {
+        const map = document.createElement('div');
+        map.className = 'map-static';
+
+        let bounds;
+        if (this.image && this.bounds) {
+            const img = document.createElement('img');
+            img.src = this.image;
+            img.alt = '';
+            map.appendChild(img);
+            bounds = this.bounds;
+        } else {
+            map.appendChild(this.createGrid());
+            bounds = this.getPaddedBounds(view);
+        }
+
+        const [west, south, east, north] = bounds;
+        view.locations.forEach(location => {
+            const [longitude, latitude] = location.coordinates;
+            const left = `${((longitude - west) / (east - west)) * 100}%`;
+            const top = `${((north - latitude) / (north - south)) * 100}%`;
+            this.addMarker(map, location, left, top);
+        });
+
+        const caption = document.createElement('div');
+        caption.className = 'map-caption';
+        caption.textContent = this.formatCoordinates(view.center);
+        map.appendChild(caption);
+
+        if (this.attribution) {
+            map.appendChild(this.createAttribution(this.attribution));
+        }
+
+        container.appendChild(map);
+    }
+
+    /**
+     * Bounds of the SVG card: the locations with a margin, or a small area around the center
+     */
+    getPaddedBounds(view) {
+        const [west, south, east, north] = view.locations.length > 0
+            ? MapProvider.getBounds(view.locations)
+            : [...view.center, ...view.center];
+        const padX = Math.max((east - west) * StaticMapProvider.padding, StaticMapProvider.minSpan);
+        const padY = Math.max((north - south) * StaticMapProvider.padding, StaticMapProvider.minSpan);
+        return [west - padX, south - padY, east + padX, north + padY];
+    }
+
+    /**
+     * Plain SVG graticule used when no map image is configured
+     */
+    createGrid() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'map-grid');
+        svg.setAttribute('aria-hidden', 'true');
+
+        for (let position = 10; position < 100; position += 10) {
+            [['x1', 'x2', 'y1', 'y2'], ['y1', 'y2', 'x1', 'x2']].forEach(([a, b, c, d]) => {
+                const line = document.createElementNS(svgNS, 'line');
+                line.setAttribute(a, `${position}%`);
+                line.setAttribute(b, `${position}%`);
+                line.setAttribute(c, '0');
+                line.setAttribute(d, '100%');
+                svg.appendChild(line);
+            });
+        }
+
+        return svg;
+    }
+}
+
+// Margin around the locations on the SVG card, as a share of their extent
+StaticMapProvider.padding = 0.2;
+
+// Smallest margin in degrees, so a single location sits in the middle of a sensible area
+StaticMapProvider.minSpan = 1;
+
+class TileMapProvider extends MapProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Tile URL template with {z}, {x} and {y}
+     * @param {string} [options.attribution] - Credit required by the tile server
+     * @param {number} [options.maxZoom] - Highest zoom level the server provides
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.url) {
+            throw new Error('The tiles map provider needs a tile URL template in data/map.json');
+        }
+        this.url = options.url;
+        this.attribution = options.attribution || null;
+        this.maxZoom = options.maxZoom || 19;
+    }
+
+    render(container, view) {
+        const zoom = this.getZoom(container, view);
+        const [centerX, centerY] = this.getCenter(view, zoom);
+        const size = TileMapProvider.tileSize;
+        const tileCount = 2 ** zoom;
+
+        const map = document.createElement('div');
+        map.className = 'map-tiles';
+
+        // Tiles and markers are placed relative to the container center, so no layout measurement is needed
+        const pane = document.createElement('div');
+        pane.className = 'map-tiles-pane';
+
+        const [columns, rows] = TileMapProvider.tileRadius;
+        const firstX = Math.floor(centerX / size);
+        const firstY = Math.floor(centerY / size);
+        for (let dx = -columns; dx <= columns; dx++) {
+            for (let dy = -rows; dy <= rows; dy++) {
+                const y = firstY + dy;
+                if (y < 0 || y >= tileCount) {
+                    continue;
+                }
+                const x = (((firstX + dx) % tileCount) + tileCount) % tileCount;
+
+                const tile = document.createElement('img');
+                tile.src = this.url.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+                tile.alt = '';
+                tile.loading = 'lazy';
+                tile.style.left = `${(firstX + dx) * size - centerX}px`;
+                tile.style.top = `${y * size - centerY}px`;
+                pane.appendChild(tile);
+            }
+        }
+
+        view.locations.forEach(location => {
+            const [x, y] = this.project(location.coordinates, zoom);
+            this.addMarker(pane, location, `${x - centerX}px`, `${y - centerY}px`);
+        });
+
+        map.appendChild(pane);
+        if (this.attribution) {
+            map.appendChild(this.createAttribution(this.attribution));
+        }
+        container.appendChild(map);
+    }
+
+    /**
+     * The configured zoom, lowered until every location fits in the container
+     */
+    getZoom(container, view) {
+        let zoom = Math.max(0, Math.min(this.maxZoom, Math.round(view.zoom)));
+        if (view.locations.length < 2) {
+            return zoom;
+        }
+
+        const [west, south, east, north] = MapProvider.getBounds(view.locations);
+        const width = (container.clientWidth || TileMapProvider.fallbackSize[0]) - 2 * TileMapProvider.fitPadding;
+        const height = (container.clientHeight || TileMapProvider.fallbackSize[1]) - 2 * TileMapProvider.fitPadding;
+        while (zoom > 0) {
+            const [left, top] = this.project([west, north], zoom);
+            const [right, bottom] = this.project([east, south], zoom);
+            if (right - left <= width && bottom - top <= height) {
+                break;
+            }
+            zoom--;
+        }
+        return zoom;
+    }
+
+    /**
+     * Pixel center of the view: the middle of all locations, or the configured center
+     */
+    getCenter(view, zoom) {
+        if (view.locations.length < 2) {
+            return this.project(view.center, zoom);
+        }
+        const [west, south, east, north] = MapProvider.getBounds(view.locations);
+        const [left, top] = this.project([west, north], zoom);
+        const [right, bottom] = this.project([east, south], zoom);
+        return [(left + right) / 2, (top + bottom) / 2];
+    }
+
+    /**
+     * Web Mercator pixel coordinates of a [longitude, latitude] at a zoom level
+     */
+    project([longitude, latitude], zoom) {
+        const scale = TileMapProvider.tileSize * 2 ** zoom;
+        const sin = Math.sin((Math.max(-85.0511, Math.min(85.0511, latitude)) * Math.PI) / 180);
+        return [
+            ((longitude + 180) / 360) * scale,
+            (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        ];
+    }
+}
+
+TileMapProvider.tileSize = 256;
+
+// Tiles drawn on each side of the center tile: enough for a ~1500px wide, ~750px tall map
+TileMapProvider.tileRadius = [3, 1];
+
+// Space kept between the outermost markers and the map edge when fitting several locations
+TileMapProvider.fitPadding = 40;
+
+// Map size assumed when the container has not been laid out yet
+TileMapProvider.fallbackSize = [500, 250];
+
+MapProvider.providers = {
+    static: StaticMapProvider,
+    tiles: TileMapProvider
+};
+
+// Marker shared with the Azure Maps HtmlMarker (styled by .pin and .pulse)
+MapProvider.markerHtml = "<div><div class='pin bounce'></div><div class='pulse'></div></div>";
+
+// Marker for locations flagged "previous": a muted pin without the pulse
+MapProvider.previousMarkerHtml = "<div><div class='pin pin-previous'></div></div>";
+
+// Shift from the marker position to the pin tip, as the Azure Maps pixelOffset
+MapProvider.markerOffset = [5, -18];
+
+// Export for global usage
+window.MapProvider = MapProvider;
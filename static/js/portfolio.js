@@ -0,0 +1,251 @@
+/**
+ * Portfolio Renderer
+ * Builds the isotope portfolio grid (#projects) and its tag filters (#filters)
+ * from data/portfolio.json, optionally merging the showcase entries of about-content.json.
+ * Projects with a detail page open it in the existing project modal (.open-project).
+ */
+
+class PortfolioRenderer {
+    constructor() {
+        this.dataUrl = './data/portfolio.json';
+        this.projectsContainer = document.getElementById('projects');
+        this.filtersContainer = document.getElementById('filters');
+        this.projects = [];
+        this.ownProjects = [];
+        this.showcaseTags = null; // Tags of the merged showcase projects, null when they are not included
+        this.ready = window.lifecycle.whenSettled('portfolio:rendered', 'portfolio:error');
+    }
+
+    /**
+     * Initialize portfolio loading
+     */
+    async init() {
+        if (!this.projectsContainer) {
+            console.log('ℹ️ Portfolio container not found, skipping portfolio rendering');
+            return;
+        }
+
+        try {
+            const response = await fetch(this.dataUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load portfolio data: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.ownProjects = (data.projects || []).map(project => this.normalizeProject(project));
+            this.projects = this.ownProjects;
+
+            if (data.showcase?.include) {
+                this.showcaseTags = data.showcase.tags || [];
+                const { showcase } = await window.lifecycle.whenSettled('content:loaded', 'content:error')
+                    .catch(() => ({ showcase: null }));
+                this.mergeShowcase(showcase);
+            }
+
+            this.renderFilters(this.projects);
+            this.renderProjects(this.projects);
+            this.relayout();
+            window.lifecycle.emit('portfolio:rendered', { projects: this.projects });
+        } catch (error) {
+            console.error('Error loading portfolio:', error);
+            window.lifecycle.emit('portfolio:error', { error });
+        }
+    }
+
+    /**
+     * Add about-content.json showcase entries to the portfolio.json projects, skipping known ids
+     */
+    mergeShowcase(showcase) {
+        const knownIds = new Set(this.ownProjects.map(project => project.id));
+        const showcaseProjects = (showcase || []).map(entry => this.normalizeProject({
+            title: entry.title,
+            tags: this.showcaseTags,
+            summary: entry.description,
+            links: [{ label: 'GitHub', url: entry.url }]
+        }));
+        this.projects = [...this.ownProjects, ...showcaseProjects.filter(project => !knownIds.has(project.id))];
+    }
+
+    /**
+     * Resolve with the showcase of the next content:loaded event, or null on content:error
+     */
+    nextShowcase() {
+        return new Promise(resolve => {
+            const settle = event => {
+                document.removeEventListener('content:loaded', settle);
+                document.removeEventListener('content:error', settle);
+                resolve(event.type === 'content:loaded' ? event.detail.showcase : null);
+            };
+            document.addEventListener('content:loaded', settle);
+            document.addEventListener('content:error', settle);
+        });
+    }
+
+    /**
+     * Fill defaults for a project entry
+     */
+    normalizeProject(project) {
+        return {
+            id: project.id || this.slugify(project.title),
+            title: project.title || '',
+            tags: project.tags || [],
+            image: project.image || null,
+            summary: project.summary || '',
+            links: project.links || [],
+            detail: project.detail || null
+        };
+    }
+
+    /**
+     * Turn a tag or title into a CSS-safe slug
+     */
+    slugify(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Build the filter list from the distinct project tags
+     */
+    renderFilters(projects) {
+        if (!this.filtersContainer) {
+            return;
+        }
+
+        const tags = [...new Set(projects.flatMap(project => project.tags))].sort();
+        this.filtersContainer.innerHTML = '';
+
+        const all = this.createFilter('*', t('portfolio.all', 'All'));
+        all.className = 'active';
+        all.setAttribute('aria-pressed', 'true');
+        this.filtersContainer.appendChild(all);
+
+        tags.forEach(tag => {
+            this.filtersContainer.appendChild(this.createFilter(`.tag-${this.slugify(tag)}`, tag));
+        });
+    }
+
+    /**
+     * Create a filter item, focusable and activated with Enter/Space like the menu items (main.js)
+     */
+    createFilter(filter, label) {
+        const li = document.createElement('li');
+        li.setAttribute('data-filter', filter);
+        li.setAttribute('role', 'button');
+        li.setAttribute('tabindex', '0');
+        li.setAttribute('aria-pressed', 'false');
+        li.textContent = label;
+        return li;
+    }
+
+    /**
+     * Translate the "All" filter and re-render the showcase projects from the new locale's content.
+     * Tag filters and the active filter are left as they are.
+     */
+    async applyLocale() {
+        const all = this.filtersContainer && this.filtersContainer.querySelector('[data-filter="*"]');
+        if (all) {
+            all.textContent = t('portfolio.all', 'All');
+        }
+
+        if (this.showcaseTags === null) {
+            return;
+        }
+        // ContentManager reloads the content on the same locale:changed event
+        const showcase = await this.nextShowcase();
+        if (showcase === null) {
+            return;
+        }
+
+        this.mergeShowcase(showcase);
+        this.renderProjects(this.projects);
+        this.relayout();
+        window.lifecycle.emit('portfolio:rendered', { projects: this.projects });
+    }
+
+    /**
+     * Render the .project grid items
+     */
+    renderProjects(projects) {
+        this.projectsContainer.innerHTML = '';
+        projects.forEach(project => this.projectsContainer.appendChild(this.createProjectItem(project)));
+    }
+
+    /**
+     * Create a single .project item with tag classes and hover overlay
+     */
+    createProjectItem(project) {
+        const item = document.createElement('div');
+        item.className = ['project', ...project.tags.map(tag => `tag-${this.slugify(tag)}`)].join(' ');
+        item.setAttribute('data-project', project.id);
+
+        if (project.image) {
+            const img = document.createElement('img');
+            img.src = project.image;
+            img.alt = project.title;
+            img.loading = 'lazy';
+            item.appendChild(img);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'project-placeholder';
+            const title = document.createElement('span');
+            title.textContent = project.title;
+            placeholder.appendChild(title);
+            item.appendChild(placeholder);
+        }
+
+        const overlay = document.createElement('div');
+        overlay.className = 'project-overlay';
+        const vcenter = document.createElement('div');
+        vcenter.className = 'vcenter';
+        const centrize = document.createElement('div');
+        centrize.className = 'centrize';
+
+        const link = document.createElement('a');
+        if (project.detail) {
+            link.className = 'open-project';
+            link.href = project.detail;
+        } else if (project.links.length > 0) {
+            link.href = project.links[0].url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+        }
+
+        const h4 = document.createElement('h4');
+        h4.textContent = project.title;
+        link.appendChild(h4);
+
+        const summary = document.createElement('p');
+        summary.textContent = project.summary;
+        link.appendChild(summary);
+
+        centrize.appendChild(link);
+        vcenter.appendChild(centrize);
+        overlay.appendChild(vcenter);
+        item.appendChild(overlay);
+
+        return item;
+    }
+
+    /**
+     * Re-layout isotope if main.js already initialized it before the items existed
+     */
+    relayout() {
+        if (typeof $ === 'undefined') {
+            return;
+        }
+        const $container = $(this.projectsContainer);
+        if ($container.data('isotope')) {
+            $container.isotope('reloadItems').isotope({ sortBy: 'original-order' });
+        }
+    }
+}
+
+// Initialize portfolio when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.portfolioRenderer = new PortfolioRenderer();
+    document.addEventListener('locale:changed', () => window.portfolioRenderer.applyLocale());
+    window.portfolioRenderer.init();
+});
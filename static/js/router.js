@@ -0,0 +1,209 @@
+/**
+ * Hash Router - Deep links and history for the content blocks and modals
+ *
+ * Routes:
+ *   #/                   home (all blocks closed)
+ *   #/profile            Profile block
+ *   #/portfolio          Portfolio block
+ *   #/portfolio/<id>     Portfolio block with a project modal open
+ *   #/blog               Blog block
+ *   #/blog/<slug>        Blog block with a post modal open
+ *   #/contact            Contact block
+ *
+ * main.js still performs the show/hide on clicks; the router records those
+ * clicks in history and replays routes on load, popstate and hashchange.
+ */
+
+class HashRouter {
+    constructor() {
+        // Route name → content block class used by main.js
+        this.blocks = {
+            profile: 'about',
+            portfolio: 'portfolio',
+            blog: 'blog',
+            contact: 'contact'
+        };
+        this.currentPath = null;
+        this.modalPushed = false;
+        this.applying = false;
+    }
+
+    /**
+     * Bind history listeners and menu/modal click tracking, then restore the current route
+     */
+    init() {
+        window.addEventListener('popstate', () => this.apply());
+        window.addEventListener('hashchange', () => this.apply());
+
+        $(document).on('click', '.menu-item', event => {
+            const route = this.routeForBlock(event.currentTarget);
+            if (route) {
+                this.push(`/${route}`);
+            }
+        });
+
+        $(document).on('click', '#close', () => this.push('/'));
+
+        $(document).on('click', '.open-project', event => {
+            const id = $(event.currentTarget).closest('[data-project]').attr('data-project');
+            if (id) {
+                this.push(`/portfolio/${encodeURIComponent(id)}`, { modal: true });
+            }
+        });
+
+        $(document).on('click', '.open-post', event => {
+            const slug = $(event.currentTarget).attr('data-slug');
+            if (slug) {
+                this.push(`/blog/${encodeURIComponent(slug)}`, { modal: true });
+            }
+        });
+
+        $(document).on('hidden.bs.modal', '#project-modal, #post-modal', () => this.onModalClosed());
+
+        this.apply();
+    }
+
+    /**
+     * Parse a location hash into { path, block, param }
+     */
+    parse(hash = window.location.hash) {
+        const path = hash.replace(/^#\/?/, '/').replace(/\/+$/, '') || '/';
+        const [name, param] = path.split('/').filter(Boolean);
+
+        return {
+            path,
+            name: this.blocks[name] ? name : null,
+            block: this.blocks[name] || null,
+            param: param ? decodeURIComponent(param) : null
+        };
+    }
+
+    /**
+     * Find the route name for a clicked .menu-item
+     */
+    routeForBlock(element) {
+        return Object.keys(this.blocks).find(name => element.classList.contains(this.blocks[name])) || null;
+    }
+
+    /**
+     * Record a route in history without re-applying it (the click already did the work)
+     */
+    push(path, { modal = false } = {}) {
+        if (this.applying || this.parse(`#${path}`).path === this.currentPath) {
+            return;
+        }
+        window.history.pushState({ path }, '', `#${path}`);
+        this.currentPath = path;
+        this.modalPushed = modal;
+    }
+
+    /**
+     * Navigate to a route programmatically
+     */
+    navigate(path) {
+        window.history.pushState({ path }, '', `#${path}`);
+        this.modalPushed = false;
+        this.apply();
+    }
+
+    /**
+     * Sync the page with the current hash
+     */
+    async apply() {
+        const route = this.parse();
+        const initial = this.currentPath === null;
+        if (route.path === this.currentPath) {
+            return;
+        }
+        this.currentPath = route.path;
+        if (initial && !route.block) {
+            // Page loaded on the home screen: nothing to restore
+            return;
+        }
+        this.applying = true;
+
+        try {
+            if (!route.block) {
+                this.closeModals();
+                closeBlocks();
+                return;
+            }
+
+            openBlock(route.block);
+
+            if (!route.param) {
+                this.closeModals();
+            } else if (route.name === 'portfolio') {
+                await this.openProject(route.param);
+            } else if (route.name === 'blog') {
+                await this.openPost(route.param);
+            }
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * Open the project modal for a portfolio id once the grid is rendered
+     */
+    async openProject(id) {
+        await window.portfolioRenderer?.ready.catch(() => null);
+        const project = window.portfolioRenderer?.projects.find(item => item.id === id);
+
+        if (project?.detail) {
+            this.closeModals();
+            openProjectModal(project.detail);
+        } else {
+            console.warn(`Router: no project detail for "${id}"`);
+        }
+    }
+
+    /**
+     * Open the post modal for a blog slug once the posts are loaded
+     */
+    async openPost(slug) {
+        await window.blogRenderer?.ready.catch(() => null);
+        const post = window.blogRenderer?.posts.find(item => item.slug === slug);
+
+        if (post) {
+            this.closeModals();
+            openPostModal(post.url);
+        } else {
+            console.warn(`Router: no blog post "${slug}"`);
+        }
+    }
+
+    /**
+     * Hide any open project/post modal
+     */
+    closeModals() {
+        $('#project-modal.in, #post-modal.in').modal('hide');
+    }
+
+    /**
+     * Return to the parent block route when a modal is dismissed by the user
+     */
+    onModalClosed() {
+        const route = this.parse();
+        if (this.applying || !route.param) {
+            return;
+        }
+
+        if (this.modalPushed) {
+            // The modal was opened by a click: step back to the entry before it
+            this.modalPushed = false;
+            window.history.back();
+        } else {
+            // Opened from a deep link: replace it with the parent block
+            const parent = `/${route.name}`;
+            window.history.replaceState({ path: parent }, '', `#${parent}`);
+            this.currentPath = parent;
+        }
+    }
+}
+
+// Initialize router when DOM is ready
+$(document).ready(function() {
+    window.router = new HashRouter();
+    window.router.init();
+});
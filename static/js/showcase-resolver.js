@@ -0,0 +1,61 @@
+/**
+ * Showcase Resolver - Merges GitHub repository metadata into showcase entries
+ * Showcase entries in about-content.json may reference a repository by owner/name ("repo");
+ * title, url and description then default to the live values in github-repos.json
+ * (written by generate-language-data.js). Hand-written values always win.
+ * Runs unchanged in the browser (ContentManager) and in Node (build-resume.js, convert-resume.js)
+ */
+
+class ShowcaseResolver {
+    /**
+     * @param {Object} [repositories] - github-repos.json "repositories", keyed by owner/name
+     */
+    constructor(repositories = {}) {
+        this.repositories = {};
+        Object.keys(repositories || {}).forEach(name => {
+            this.repositories[name.toLowerCase()] = repositories[name];
+        });
+    }
+
+    /**
+     * Live metadata for an owner/name reference, or null
+     */
+    lookup(repo) {
+        return repo ? this.repositories[repo.toLowerCase()] || null : null;
+    }
+
+    /**
+     * Fill title, url and description from the referenced repository and attach its metadata
+     * @returns {Object} Entry with title, url, description, details and metadata (null when unknown)
+     */
+    resolve(entry) {
+        const metadata = this.lookup(entry.repo);
+        const name = entry.repo ? entry.repo.split('/')[1] : '';
+
+        return {
+            ...entry,
+            title: entry.title || metadata?.name || name,
+            url: entry.url || metadata?.url || (entry.repo ? `https://github.com/${entry.repo}` : ''),
+            description: entry.description ?? metadata?.description ?? '',
+            details: entry.details || [],
+            metadata
+        };
+    }
+
+    /**
+     * Resolve every showcase entry
+     */
+    resolveAll(entries) {
+        return (entries || []).map(entry => this.resolve(entry));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShowcaseResolver;
+}
+
+// Export for global usage
+if (typeof window !== 'undefined') {
+    window.ShowcaseResolver = ShowcaseResolver;
+}
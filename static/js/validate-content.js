@@ -0,0 +1,87 @@
+/**
+ * About Content Validator
+ * Checks static/data/about-content.json (and every locale variant such as
+ * about-content.zh.json) against about-content.schema.json, extended with the
+ * custom section schemas in static/data/sections/<key>.schema.json, and reports
+ * every failing field path. Exits with code 1 on errors.
+ *
+ * Usage: node static/js/validate-content.js [path/to/about-content.json ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ContentValidator = require('./content-validator');
+
+const dataDir = path.join(__dirname, '../data');
+const schemaFile = path.join(dataDir, 'about-content.schema.json');
+const sectionsDir = path.join(dataDir, 'sections');
+
+/**
+ * Read and parse a JSON file, exiting with a readable message on failure
+ */
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Unable to read ${path.relative(process.cwd(), file)}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Load the content schema with a <key>.schema.json file from dir added for each custom
+ * section, the Node counterpart of the schema passed to ContentManager.registerSection
+ */
+function loadSchema(dir = sectionsDir) {
+    const schema = readJson(schemaFile);
+    if (!fs.existsSync(dir)) {
+        return schema;
+    }
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.schema.json'))
+        .forEach(file => {
+            schema.properties.sections.properties[path.basename(file, '.schema.json')] = readJson(path.join(dir, file));
+        });
+    return schema;
+}
+
+/**
+ * Validate each content file and report its problems, returning whether all were valid
+ */
+function validateFiles(files, schema = loadSchema()) {
+    const validator = new ContentValidator(schema);
+    let valid = true;
+
+    files.forEach(file => {
+        console.log(`🔍 Validating ${path.relative(process.cwd(), file)}...`);
+        const errors = validator.validate(readJson(file));
+
+        if (errors.length === 0) {
+            console.log('✅ Content is valid');
+            return;
+        }
+
+        valid = false;
+        console.error(`❌ Found ${errors.length} problem(s):`);
+        errors.forEach(error => {
+            console.error(`   - ${error.path}: ${error.message}`);
+        });
+    });
+
+    return valid;
+}
+
+if (require.main === module) {
+    const contentFiles = process.argv.length > 2
+        ? process.argv.slice(2).map(file => path.resolve(file))
+        : fs.readdirSync(dataDir)
+            .filter(file => /^about-content(\.[a-z]{2})?\.json$/.test(file))
+            .map(file => path.join(dataDir, file));
+
+    if (!validateFiles(contentFiles)) {
+        process.exit(1);
+    }
+}
+
+module.exports = { loadSchema, validateFiles };
@@ -0,0 +1,168 @@
+/**
+ * Service Worker - Offline-first caching for the portfolio
+ *
+ * - Static shell (html, css, js, fonts, favicons): precached per CACHE_VERSION, served cache-first
+ * - data/*.json (content, languages, activity...): stale-while-revalidate
+ * - Third-party SDKs and fonts (Azure Maps SDK, Font Awesome, Google Fonts): stale-while-revalidate
+ * - Pages loaded into modals (projects/, posts/): network-first with cached fallback
+ *
+ * CACHE_VERSION is replaced with the commit SHA by the deploy workflow, so every deploy
+ * installs a fresh shell and removes the caches of the previous one.
+ */
+
+const CACHE_VERSION = '${BUILD_VERSION}';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+
+// Files loaded by index.html; add new scripts and stylesheets here
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/bootstrap.min.css',
+    'css/animate.css',
+    'css/style.css',
+    'css/responsive.css',
+    'css/print.css',
+    'fonts/glyphicons-halflings-regular.woff2',
+    'fonts/glyphicons-halflings-regular.woff',
+    'favicons/favicon.ico',
+    'favicons/favicon-16x16.png',
+    'favicons/favicon-32x32.png',
+    'favicons/apple-touch-icon.png',
+    'favicons/android-chrome-192x192.png',
+    'favicons/android-chrome-512x512.png',
+    'favicons/safari-pinned-tab.svg',
+    'images/weixin.jpg',
+    'js/jquery-3.2.1.min.js',
+    'js/jquery.isotope.min.js',
+    'js/jquery.placeholder.min.js',
+    'js/jquery.waypoints.min.js',
+    'js/bootstrap.min.js',
+    'js/smooth-scroll.js',
+    'js/lifecycle.js',
+    'js/i18n.js',
+    'js/custom.js',
+    'js/main.js',
+    'js/github-skills.js',
+    'js/github-activity.js',
+    'js/portfolio.js',
+    'js/blog.js',
+    'js/router.js',
+    'js/content-validator.js',
+    'js/json-resume.js',
+    'js/showcase-resolver.js',
+    'js/content-manager.js',
+    'js/env-config.js',
+    'js/map-providers.js',
+    'js/azure-maps-integration.js'
+];
+
+// Cross-origin resources worth keeping offline (map tiles are deliberately not cached)
+const THIRD_PARTY_PREFIXES = [
+    'https://atlas.microsoft.com/sdk/',
+    'https://maxcdn.bootstrapcdn.com/font-awesome/',
+    'https://fonts.googleapis.com/',
+    'https://fonts.gstatic.com/'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop the caches of previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirst(request, 'index.html'));
+        } else if (/\/data\/[^/]+\.json$/.test(url.pathname)) {
+            event.respondWith(staleWhileRevalidate(event, request));
+        } else if (/\/(projects|posts)\//.test(url.pathname)) {
+            event.respondWith(networkFirst(request));
+        } else {
+            event.respondWith(cacheFirst(request));
+        }
+    } else if (THIRD_PARTY_PREFIXES.some(prefix => request.url.startsWith(prefix))) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Serve from cache, falling back to the network (and caching the result)
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve the cached copy immediately and refresh it in the background
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+
+    const update = fetch(request).then(response => {
+        // Opaque responses (cross-origin scripts without CORS) report status 0 but are usable
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => null));
+        return cached;
+    }
+    return update;
+}
+
+/**
+ * Try the network first, falling back to the cache (or to a fallback page) when offline
+ */
+async function networkFirst(request, fallbackUrl) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME_CACHE);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,64 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BlogBuilder = require('../static/js/build-blog');
+
+let tempDir;
+let builder;
+
+beforeEach(t => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-'));
+    fs.mkdirSync(path.join(tempDir, 'posts'));
+    builder = new BlogBuilder({
+        postsDir: path.join(tempDir, 'posts'),
+        outputDir: path.join(tempDir, 'static', 'posts'),
+        indexFile: path.join(tempDir, 'posts.json')
+    });
+    t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function writePost(file, frontMatter) {
+    const lines = Object.entries(frontMatter).map(([key, value]) => `${key}: ${value}`);
+    fs.writeFileSync(path.join(tempDir, 'posts', file), `---\n${lines.join('\n')}\n---\nHello\n`);
+}
+
+test('slugifies slugs from the front matter and the file name', () => {
+    writePost('Going Static!.md', { title: 'Going static', date: '2025-09-01' });
+    writePost('notes.md', { title: 'Notes', date: '2025-10-01', slug: 'Café Notes (Part 2)' });
+
+    assert.deepEqual(builder.loadPosts().map(post => post.slug), ['cafe-notes-part-2', 'going-static']);
+});
+
+test('fails when two posts share a slug', () => {
+    writePost('going-static.md', { title: 'Going static', date: '2025-09-01' });
+    writePost('other.md', { title: 'Other', date: '2025-10-01', slug: 'Going Static' });
+
+    assert.throws(() => builder.loadPosts(), { message: 'other.md: slug "going-static" is already used by going-static.md' });
+});
+
+test('fails when no slug can be derived', () => {
+    writePost('博客.md', { title: '博客', date: '2025-09-01' });
+
+    assert.throws(() => builder.loadPosts(), { message: '博客.md: cannot derive a slug, set front matter "slug"' });
+});
+
+test('dates posts.json by the newest post so rebuilds leave it unchanged', () => {
+    writePost('older.md', { title: 'Older', date: '2025-09-01' });
+    writePost('newer.md', { title: 'Newer', date: '2025-10-01' });
+
+    builder.build();
+    const first = fs.readFileSync(builder.indexFile, 'utf8');
+    builder.build();
+
+    assert.equal(fs.readFileSync(builder.indexFile, 'utf8'), first);
+    const index = JSON.parse(first);
+    assert.equal(index.lastUpdated, '2025-10-01');
+    assert.deepEqual(index.posts.map(post => post.url), ['posts/newer.html', 'posts/older.html']);
+});
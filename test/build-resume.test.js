@@ -0,0 +1,34 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ResumeBuilder = require('../static/js/build-resume');
+
+let outputDir;
+
+beforeEach(t => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-'));
+    t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('writes the HTML next to --out instead of static/downloadable', async () => {
+    const out = path.join(outputDir, 'nested', 'cv.pdf');
+    const builder = new ResumeBuilder({ out });
+
+    assert.equal(builder.htmlFile, path.join(outputDir, 'nested', 'cv.html'));
+    await builder.build();
+
+    assert.deepEqual(fs.readdirSync(path.dirname(out)).sort(), ['cv.html', 'cv.pdf']);
+    assert.equal(fs.readFileSync(out).subarray(0, 5).toString(), '%PDF-');
+
+    // The print stylesheet link still resolves from the new location
+    const html = fs.readFileSync(builder.htmlFile, 'utf8');
+    const [, href] = html.match(/<link rel="stylesheet" href="([^"]+)"/);
+    assert.ok(fs.existsSync(path.resolve(path.dirname(builder.htmlFile), decodeURI(href))));
+});
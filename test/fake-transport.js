@@ -0,0 +1,76 @@
+/**
+ * Fake GitHub transport for the generator tests
+ * Routes are answered from a table keyed by the Octokit route ("GET /users/{username}/repos")
+ * or a full pagination URL. A handler is a response, an array of responses used one per call
+ * (the last one repeats), or a function (params) => response that may return a promise.
+ * Responses with a status of 300 or more are thrown as Octokit-style errors.
+ * Every call is recorded in transport.calls.
+ */
+
+function createTransport(routes) {
+    const counters = new Map();
+
+    const transport = async (route, params = {}) => {
+        transport.calls.push({ route, params });
+
+        let handler = routes[route];
+        if (handler === undefined) {
+            throw httpError(404, `No fake response for ${route}`);
+        }
+        if (typeof handler === 'function') {
+            handler = await handler(params);
+        }
+        if (Array.isArray(handler)) {
+            const index = counters.get(route) || 0;
+            counters.set(route, index + 1);
+            handler = handler[Math.min(index, handler.length - 1)];
+        }
+
+        const { status = 200, data = null, headers = {} } = handler;
+        if (status >= 300) {
+            throw httpError(status, data?.message || `HTTP ${status}`, headers);
+        }
+        return { status, data, headers };
+    };
+
+    transport.calls = [];
+    // Calls made for a route, optionally narrowed by a params predicate
+    transport.callsTo = (route, match = () => true) =>
+        transport.calls.filter(call => call.route === route && match(call.params));
+
+    return transport;
+}
+
+/**
+ * Error shaped like the ones @octokit/core throws (status plus response headers)
+ */
+function httpError(status, message, headers = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.response = { status, headers };
+    return error;
+}
+
+/**
+ * Minimal repository object as returned by the REST API
+ */
+function repository(fullName, fields = {}) {
+    const [owner, name] = fullName.split('/');
+    return {
+        name,
+        full_name: fullName,
+        owner: { login: owner },
+        description: null,
+        language: null,
+        updated_at: '2024-01-01T00:00:00Z',
+        pushed_at: '2024-01-01T00:00:00Z',
+        created_at: '2020-01-01T00:00:00Z',
+        size: 1,
+        stargazers_count: 0,
+        fork: false,
+        archived: false,
+        ...fields
+    };
+}
+
+module.exports = { createTransport, httpError, repository };
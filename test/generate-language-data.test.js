@@ -0,0 +1,287 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LanguageDataGenerator = require('../static/js/generate-language-data');
+const { createTransport, repository } = require('./fake-transport');
+
+const REPOS_ROUTE = 'GET /users/{username}/repos';
+const LANGUAGES_ROUTE = 'GET /repos/{owner}/{repo}/languages';
+const PAGE_2 = 'https://api.github.com/user/1/repos?per_page=100&page=2';
+
+let outputDir;
+
+beforeEach(t => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'language-data-'));
+    t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+/**
+ * Generator writing to the temp directory, with retries that don't wait
+ */
+function createGenerator(transport, options = {}) {
+    return new LanguageDataGenerator({
+        token: 'test-token',
+        username: 'octocat',
+        outputDir,
+        cacheFile: path.join(outputDir, '.cache', 'github-languages-cache.json'),
+        activity: { enabled: false },
+        featured: { enabled: false },
+        retryDelay: 0,
+        transport,
+        ...options
+    });
+}
+
+function readOutput(file) {
+    return JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8'));
+}
+
+/**
+ * Owned repositories split over two pages (plus a fork on page 2) and their languages.
+ * languages maps a repository name to a response, or to responses used one per request.
+ */
+function githubRoutes(languages, pushedAt = {}) {
+    const repo = name => repository(`octocat/${name}`, pushedAt[name] ? { pushed_at: pushedAt[name] } : {});
+    const requests = {};
+
+    return {
+        [REPOS_ROUTE]: {
+            data: [repo('alpha'), repo('beta')],
+            headers: { link: `<${PAGE_2}>; rel="next", <${PAGE_2}>; rel="last"` }
+        },
+        [`GET ${PAGE_2}`]: {
+            data: [repo('gamma'), repository('octocat/forked', { fork: true })]
+        },
+        [LANGUAGES_ROUTE]: params => {
+            const responses = [].concat(languages[params.repo] || { status: 404, data: { message: 'Not Found' } });
+            const index = requests[params.repo] = (requests[params.repo] ?? -1) + 1;
+            return responses[Math.min(index, responses.length - 1)];
+        }
+    };
+}
+
+const languagesOf = name => call => call.repo === name;
+
+test('follows the Link header through every page of repositories', async () => {
+    const transport = createTransport(githubRoutes({
+        alpha: { data: { JavaScript: 300 } },
+        beta: { data: { Python: 100 } },
+        gamma: { data: { JavaScript: 100 } }
+    }));
+
+    await createGenerator(transport).generate();
+
+    assert.equal(transport.callsTo(`GET ${PAGE_2}`).length, 1);
+    // The fork on page 2 is filtered out
+    const detailed = readOutput('github-languages-detailed.json');
+    assert.deepEqual(detailed.repositories.map(repo => repo.full_name), ['octocat/alpha', 'octocat/beta', 'octocat/gamma']);
+
+    const main = readOutput('github-languages.json');
+    assert.equal(main.totalRepositories, 3);
+    assert.deepEqual(main.languages.map(lang => [lang.name, lang.percent]), [['JavaScript', 80], ['Python', 20]]);
+});
+
+test('keeps at most `concurrency` language requests in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const routes = githubRoutes({});
+    routes[LANGUAGES_ROUTE] = async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return { data: { JavaScript: 100 } };
+    };
+    const transport = createTransport(routes);
+
+    await createGenerator(transport, { concurrency: 2 }).generate();
+
+    assert.equal(transport.callsTo(LANGUAGES_ROUTE).length, 3);
+    assert.equal(maxInFlight, 2);
+});
+
+test('retries 5xx responses and counts the repository once they succeed', async () => {
+    const transport = createTransport(githubRoutes({
+        alpha: { data: { JavaScript: 100 } },
+        beta: [
+            { status: 502, data: { message: 'Bad Gateway' } },
+            { status: 503, data: { message: 'Service Unavailable' } },
+            { data: { Go: 100 } }
+        ],
+        gamma: { data: { JavaScript: 200 } }
+    }));
+
+    await createGenerator(transport).generate();
+
+    assert.equal(transport.callsTo(LANGUAGES_ROUTE, languagesOf('beta')).length, 3);
+    const main = readOutput('github-languages.json');
+    assert.deepEqual(main.languages.map(lang => [lang.name, lang.bytes]), [['JavaScript', 300], ['Go', 100]]);
+    assert.deepEqual(readOutput('github-languages-detailed.json').skippedRepositories, []);
+});
+
+test('waits for Retry-After on rate-limited responses', async () => {
+    const generator = createGenerator(createTransport(githubRoutes({
+        alpha: { data: { JavaScript: 100 } },
+        beta: [
+            { status: 429, headers: { 'retry-after': '2' } },
+            { status: 403, headers: { 'retry-after': '1', 'x-ratelimit-remaining': '0' } },
+            { data: { Go: 100 } }
+        ],
+        gamma: { data: { JavaScript: 100 } }
+    })));
+    const delays = [];
+    generator.sleep = async ms => delays.push(ms);
+
+    await generator.generate();
+
+    assert.deepEqual(delays, [2000, 1000]);
+    assert.deepEqual(readOutput('github-languages-detailed.json').skippedRepositories, []);
+});
+
+test('reuses cached languages for unchanged repositories and 304 responses', async () => {
+    await createGenerator(createTransport(githubRoutes({
+        alpha: { data: { JavaScript: 100 }, headers: { etag: '"alpha-v1"' } },
+        beta: { data: { Python: 100 }, headers: { etag: '"beta-v1"' } },
+        gamma: { data: { Go: 100 }, headers: { etag: '"gamma-v1"' } }
+    }))).generate();
+
+    // alpha was pushed since the first run but its languages did not change
+    const transport = createTransport(githubRoutes({
+        alpha: { status: 304, headers: { etag: '"alpha-v1"' } }
+    }, { alpha: '2024-06-01T00:00:00Z' }));
+
+    await createGenerator(transport).generate();
+
+    const requests = transport.callsTo(LANGUAGES_ROUTE);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].params.repo, 'alpha');
+    assert.equal(requests[0].params.headers['If-None-Match'], '"alpha-v1"');
+
+    const main = readOutput('github-languages.json');
+    assert.deepEqual(main.languages.map(lang => lang.name).sort(), ['Go', 'JavaScript', 'Python']);
+
+    const cache = JSON.parse(fs.readFileSync(path.join(outputDir, '.cache', 'github-languages-cache.json'), 'utf8'));
+    assert.equal(cache.repositories['octocat/alpha'].pushed_at, '2024-06-01T00:00:00Z');
+    assert.deepEqual(cache.repositories['octocat/alpha'].languages, { JavaScript: 100 });
+});
+
+test('skips repositories whose languages cannot be fetched', async () => {
+    const transport = createTransport(githubRoutes({
+        alpha: { data: { JavaScript: 100 } },
+        gamma: { data: { Go: 100 } }
+    }));
+
+    await createGenerator(transport, { maxRetries: 3 }).generate();
+
+    // 404 is not retried
+    assert.equal(transport.callsTo(LANGUAGES_ROUTE, languagesOf('beta')).length, 1);
+    const detailed = readOutput('github-languages-detailed.json');
+    assert.deepEqual(detailed.skippedRepositories, [{ repository: 'octocat/beta', status: 404, reason: 'Not Found' }]);
+    assert.deepEqual(readOutput('github-languages.json').languages.map(lang => lang.name).sort(), ['Go', 'JavaScript']);
+});
+
+test('falls back to cached languages when a refetch fails', async () => {
+    await createGenerator(createTransport(githubRoutes({
+        alpha: { data: { JavaScript: 100 } },
+        beta: { data: { Python: 100 } },
+        gamma: { data: { Go: 100 } }
+    }))).generate();
+
+    // alpha changed, so the output files are rewritten with beta's cached languages
+    const transport = createTransport(githubRoutes({
+        alpha: { data: { JavaScript: 300 } },
+        beta: { status: 500, data: { message: 'Server Error' } }
+    }, { alpha: '2024-06-01T00:00:00Z', beta: '2024-06-01T00:00:00Z' }));
+
+    await createGenerator(transport, { maxRetries: 1 }).generate();
+
+    assert.equal(transport.callsTo(LANGUAGES_ROUTE, languagesOf('beta')).length, 2);
+    const detailed = readOutput('github-languages-detailed.json');
+    assert.deepEqual(detailed.skippedRepositories, []);
+    assert.deepEqual(detailed.languagesByRepo['octocat/alpha'], { JavaScript: 300 });
+    assert.deepEqual(detailed.languagesByRepo['octocat/beta'], { Python: 100 });
+
+    // The old pushed_at is kept so the next run requests the repository again
+    const cache = JSON.parse(fs.readFileSync(path.join(outputDir, '.cache', 'github-languages-cache.json'), 'utf8'));
+    assert.equal(cache.repositories['octocat/beta'].pushed_at, '2024-01-01T00:00:00Z');
+});
+
+/**
+ * Main language data as saveLanguageData passes it to appendHistory
+ */
+function mainData(date, model = 'bytes', percent = 100) {
+    return {
+        lastUpdated: `${date}T06:00:00.000Z`,
+        totalRepositories: 1,
+        weighting: { model },
+        languages: [{ name: 'JavaScript', percent }]
+    };
+}
+
+const readHistory = () => readOutput('github-languages-history.json').snapshots;
+
+test('history: adds a snapshot on every run, even when the language totals are unchanged', async () => {
+    const routes = () => githubRoutes({
+        alpha: { data: { JavaScript: 100 } },
+        beta: { data: { Python: 100 } },
+        gamma: { data: { Go: 100 } }
+    });
+    await createGenerator(createTransport(routes())).generate();
+
+    // Pretend the first run happened on an earlier day
+    const history = readOutput('github-languages-history.json');
+    history.snapshots[0].date = '2000-01-01';
+    fs.writeFileSync(path.join(outputDir, 'github-languages-history.json'), JSON.stringify(history));
+    const mainFile = path.join(outputDir, 'github-languages.json');
+    const before = fs.readFileSync(mainFile, 'utf8');
+
+    await createGenerator(createTransport(routes())).generate();
+
+    assert.equal(fs.readFileSync(mainFile, 'utf8'), before);
+    const snapshots = readHistory();
+    assert.deepEqual(snapshots.map(snapshot => snapshot.date), ['2000-01-01', JSON.parse(before).lastUpdated.slice(0, 10)]);
+    assert.deepEqual(snapshots[1].languages, snapshots[0].languages);
+});
+
+test('history: keeps one snapshot per day, the latest run winning', () => {
+    const generator = createGenerator(createTransport({}));
+
+    generator.appendHistory(mainData('2024-01-01', 'bytes', 100));
+    generator.appendHistory(mainData('2024-01-02', 'bytes', 90));
+    generator.appendHistory(mainData('2024-01-02', 'bytes', 80));
+
+    assert.deepEqual(readHistory().map(snapshot => [snapshot.date, snapshot.languages.JavaScript]), [
+        ['2024-01-01', 100],
+        ['2024-01-02', 80]
+    ]);
+});
+
+test('history: keeps at most historyLimit snapshots, dropping the oldest', () => {
+    const generator = createGenerator(createTransport({}), { historyLimit: 2 });
+
+    ['2024-01-03', '2024-01-01', '2024-01-02'].forEach(date => generator.appendHistory(mainData(date)));
+
+    const history = readOutput('github-languages-history.json');
+    assert.equal(history.limit, 2);
+    assert.deepEqual(history.snapshots.map(snapshot => snapshot.date), ['2024-01-02', '2024-01-03']);
+});
+
+test('history: starts a new history when the weighting model changes', () => {
+    createGenerator(createTransport({})).appendHistory(mainData('2024-01-01', 'bytes'));
+    const generator = createGenerator(createTransport({}), { weighting: { model: 'repos' } });
+
+    generator.appendHistory(mainData('2024-01-02', 'repos'));
+    generator.appendHistory(mainData('2024-01-03', 'repos'));
+
+    assert.deepEqual(readHistory().map(snapshot => [snapshot.date, snapshot.weighting]), [
+        ['2024-01-02', 'repos'],
+        ['2024-01-03', 'repos']
+    ]);
+});
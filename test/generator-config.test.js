@@ -0,0 +1,132 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LanguageDataGenerator = require('../static/js/generate-language-data');
+const { createTransport, repository } = require('./fake-transport');
+
+const script = path.join(__dirname, '../static/js/generate-language-data.js');
+
+let tempDir;
+let configFile;
+
+beforeEach(t => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generator-config-'));
+    configFile = path.join(tempDir, 'portfolio.config.json');
+    t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function writeConfig(languages) {
+    fs.writeFileSync(configFile, JSON.stringify({ languages }));
+}
+
+test('the config file is overridden by environment variables, which are overridden by CLI flags', () => {
+    writeConfig({
+        username: 'file-user',
+        owners: ['file-owner'],
+        orgs: ['file-org'],
+        includeForks: true,
+        minPercent: 2,
+        weighting: { model: 'recency', halfLifeDays: 90 },
+        activity: { enabled: true, years: 3 },
+        output: 'out'
+    });
+    const env = { GITHUB_USERNAME: 'env-user', LANGUAGE_OWNERS: 'env-owner, env-other', LANGUAGE_ORGS: 'env-org' };
+
+    const config = LanguageDataGenerator.loadConfig([
+        '--config', configFile,
+        '--owners', 'cli-owner',
+        '--no-include-forks',
+        '--min-percent', '5',
+        '--half-life', '30',
+        '--no-activity'
+    ], env);
+
+    assert.equal(config.username, 'env-user');
+    assert.deepEqual(config.owners, ['cli-owner']);
+    assert.deepEqual(config.orgs, ['env-org']);
+    assert.equal(config.includeForks, false);
+    assert.equal(config.minPercent, 5);
+    // Nested settings are refined, not replaced
+    assert.deepEqual(config.weighting, { model: 'recency', halfLifeDays: 30 });
+    assert.deepEqual(config.activity, { enabled: false, years: 3 });
+    // output is relative to the config file
+    assert.equal(config.outputDir, path.join(tempDir, 'out'));
+});
+
+test('PORTFOLIO_CONFIG selects the config file and --config wins over it', () => {
+    writeConfig({ username: 'file-user' });
+    const other = path.join(tempDir, 'other.json');
+    fs.writeFileSync(other, JSON.stringify({ languages: { username: 'other-user' } }));
+
+    assert.equal(LanguageDataGenerator.loadConfig([], { PORTFOLIO_CONFIG: configFile }).username, 'file-user');
+    assert.equal(LanguageDataGenerator.loadConfig(['--config', other], { PORTFOLIO_CONFIG: configFile }).username, 'other-user');
+});
+
+test('a config file named explicitly must exist', () => {
+    const missing = path.join(tempDir, 'missing.json');
+
+    assert.throws(() => LanguageDataGenerator.loadConfig(['--config', missing], {}), { message: `Config file not found: ${missing}` });
+    assert.throws(() => LanguageDataGenerator.loadConfig([], { PORTFOLIO_CONFIG: missing }), /Config file not found/);
+});
+
+test('rejects unknown flags, missing values and non-numeric numbers', () => {
+    const load = argv => LanguageDataGenerator.loadConfig(['--config', configFile, ...argv], {});
+    writeConfig({});
+
+    assert.throws(() => load(['--forks']), /^Error: Unknown option: --forks/);
+    assert.throws(() => load(['--username']), { message: '--username requires a value' });
+    assert.throws(() => load(['--min-percent', 'many']), { message: '--min-percent expects a number' });
+    assert.throws(() => load(['--half-life', 'long']), { message: '--half-life expects a number' });
+});
+
+test('rejects invalid option values when the generator is created', () => {
+    const create = options => new LanguageDataGenerator({ token: 'test-token', outputDir: tempDir, ...options });
+
+    assert.throws(() => create({ archived: 'sometimes' }), /archived must be "include", "exclude" or "only"/);
+    assert.throws(() => create({ weighting: { model: 'lines' } }), /Unknown weighting model "lines"/);
+    assert.throws(() => create({ weighting: { model: 'recency', halfLifeDays: 0 } }), /halfLifeDays must be a positive number/);
+});
+
+test('applies the merged settings when generating', async () => {
+    writeConfig({ includeForks: true, exclude: ['octocat/beta'], output: 'data' });
+    const transport = createTransport({
+        'GET /users/{username}/repos': {
+            data: ['alpha', 'beta'].map(name => repository(`octocat/${name}`)).concat(repository('octocat/fork', { fork: true }))
+        },
+        'GET /repos/{owner}/{repo}/languages': { data: { JavaScript: 100 } }
+    });
+
+    const config = LanguageDataGenerator.loadConfig(['--config', configFile, '--no-include-forks'], { GITHUB_USERNAME: 'octocat' });
+    await new LanguageDataGenerator({
+        ...config,
+        token: 'test-token',
+        cacheFile: path.join(tempDir, '.cache', 'github-languages-cache.json'),
+        activity: { enabled: false },
+        featured: { enabled: false },
+        transport
+    }).generate();
+
+    const detailed = JSON.parse(fs.readFileSync(path.join(tempDir, 'data', 'github-languages-detailed.json'), 'utf8'));
+    assert.deepEqual(detailed.repositories.map(repo => repo.full_name), ['octocat/alpha']);
+    assert.deepEqual(detailed.metadata.filters.exclude, ['octocat/beta']);
+    assert.equal(detailed.metadata.filters.includeForks, false);
+});
+
+test('reports invalid options without a stack trace', () => {
+    const result = spawnSync(process.execPath, [script, '--min-percent', 'many'], {
+        cwd: tempDir,
+        encoding: 'utf8',
+        env: { ...process.env, GITHUB_TOKEN: 'test-token' }
+    });
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stderr.trim(), '❌ --min-percent expects a number');
+});
@@ -0,0 +1,252 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LanguageDataGenerator = require('../static/js/generate-language-data');
+const { createTransport, repository } = require('./fake-transport');
+
+let outputDir;
+let errors;
+let warnings;
+
+beforeEach(t => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graphql-collectors-'));
+    errors = [];
+    warnings = [];
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+    t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+/**
+ * Generator with one owned repository; graphql answers POST /graphql (omitted: no GraphQL endpoint)
+ */
+function createGenerator(graphql, options = {}) {
+    const routes = {
+        'GET /users/{username}/repos': { data: [repository('octocat/alpha')] },
+        'GET /repos/{owner}/{repo}/languages': { data: { JavaScript: 100 } }
+    };
+    if (graphql) {
+        routes['POST /graphql'] = graphql;
+    }
+
+    const transport = createTransport(routes);
+    const generator = new LanguageDataGenerator({
+        token: 'test-token',
+        username: 'octocat',
+        outputDir,
+        cacheFile: path.join(outputDir, '.cache', 'github-languages-cache.json'),
+        retryDelay: 0,
+        transport,
+        ...options
+    });
+    return { generator, transport };
+}
+
+function outputPath(file) {
+    return path.join(outputDir, file);
+}
+
+function readOutput(file) {
+    return JSON.parse(fs.readFileSync(outputPath(file), 'utf8'));
+}
+
+/**
+ * Answer the activity queries: contribution years, then one contributionsCollection per period
+ */
+function activityResponse(params) {
+    if (params.query.includes('contributionYears')) {
+        return { data: { data: { user: { contributionsCollection: { contributionYears: [2023, 2024] } } } } };
+    }
+
+    const calendar = params.variables.calendar;
+    return {
+        data: {
+            data: {
+                user: {
+                    contributionsCollection: {
+                        totalCommitContributions: calendar ? 120 : 80,
+                        totalIssueContributions: 4,
+                        totalPullRequestContributions: 10,
+                        totalPullRequestReviewContributions: 6,
+                        restrictedContributionsCount: 15,
+                        commitContributionsByRepository: [
+                            { repository: { nameWithOwner: 'octocat/beta' }, contributions: { totalCount: 20 } },
+                            { repository: { nameWithOwner: 'octocat/alpha' }, contributions: { totalCount: 100 } }
+                        ],
+                        pullRequestContributionsByRepository: [
+                            { repository: { nameWithOwner: 'octocat/alpha' } },
+                            { repository: { nameWithOwner: 'Azure/azure-powershell' } }
+                        ],
+                        issueContributionsByRepository: [],
+                        ...(calendar ? {
+                            contributionCalendar: {
+                                totalContributions: 3,
+                                weeks: [
+                                    { contributionDays: [{ date: '2024-06-02', contributionCount: 1 }, { date: '2024-06-03', contributionCount: 0 }] },
+                                    { contributionDays: [{ date: '2024-06-09', contributionCount: 2 }] }
+                                ]
+                            }
+                        } : {})
+                    }
+                },
+                merged: { issueCount: 7 }
+            }
+        }
+    };
+}
+
+/**
+ * Repository node as returned by the RepositoryFields fragment
+ */
+function repositoryNode(nameWithOwner, fields = {}) {
+    return {
+        nameWithOwner,
+        name: nameWithOwner.split('/')[1],
+        description: null,
+        url: `https://github.com/${nameWithOwner}`,
+        homepageUrl: '',
+        stargazerCount: 3,
+        forkCount: 1,
+        pushedAt: '2024-05-01T00:00:00Z',
+        isArchived: false,
+        primaryLanguage: { name: 'JavaScript', color: '#f1e05a' },
+        repositoryTopics: { nodes: [{ topic: { name: 'portfolio' } }] },
+        ...fields
+    };
+}
+
+/**
+ * Answer the pinned query and the aliased owner/name lookups (octocat/missing does not exist)
+ */
+function featuredResponse(params) {
+    if (params.query.includes('pinnedItems')) {
+        return {
+            data: {
+                data: {
+                    user: {
+                        pinnedItems: {
+                            nodes: [
+                                repositoryNode('octocat/alpha', { description: 'Pinned first', stargazerCount: 42 }),
+                                repositoryNode('octocat/beta', { primaryLanguage: null, repositoryTopics: { nodes: [] } })
+                            ]
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    return {
+        data: {
+            data: {
+                repo0: repositoryNode('Azure/azure-powershell', { homepageUrl: 'https://learn.microsoft.com/powershell/azure' }),
+                repo1: null
+            },
+            errors: [{ type: 'NOT_FOUND', message: "Could not resolve to a Repository with the name 'octocat/missing'." }]
+        }
+    };
+}
+
+test('writes github-activity.json from the contributionsCollection responses', async () => {
+    const { generator } = createGenerator(params => activityResponse(params), { featured: { enabled: false } });
+
+    await generator.generate();
+
+    const activity = readOutput('github-activity.json');
+    assert.equal(activity.username, 'octocat');
+    assert.deepEqual(activity.totals, {
+        commits: 120,
+        pullRequests: 10,
+        pullRequestsMerged: 7,
+        issues: 4,
+        reviews: 6,
+        privateContributions: 15,
+        repositoriesContributedTo: 3
+    });
+    // Most recent year first, per-year queries without the calendar
+    assert.deepEqual(activity.years.map(year => [year.year, year.commits]), [[2024, 80], [2023, 80]]);
+    assert.deepEqual(activity.repositories, [
+        { name: 'octocat/alpha', commits: 100 },
+        { name: 'octocat/beta', commits: 20 }
+    ]);
+    assert.deepEqual(activity.calendar, {
+        totalContributions: 3,
+        days: [
+            { date: '2024-06-02', count: 1 },
+            { date: '2024-06-03', count: 0 },
+            { date: '2024-06-09', count: 2 }
+        ]
+    });
+    assert.deepEqual(errors, []);
+});
+
+test('writes github-repos.json from the pinned and owner/name lookups', async () => {
+    const { generator, transport } = createGenerator(params => featuredResponse(params), {
+        activity: { enabled: false },
+        featured: { repositories: ['Azure/azure-powershell', 'octocat/missing', 'octocat/alpha', 'not a repo'] }
+    });
+
+    await generator.generate();
+
+    // Pinned repositories are not looked up again
+    const lookup = transport.callsTo('POST /graphql', params => !params.query.includes('pinnedItems'));
+    assert.equal(lookup.length, 1);
+    assert.doesNotMatch(lookup[0].params.query, /octocat.*alpha/);
+
+    const featured = readOutput('github-repos.json');
+    assert.deepEqual(featured.pinned, ['octocat/alpha', 'octocat/beta']);
+    assert.deepEqual(Object.keys(featured.repositories), ['octocat/alpha', 'octocat/beta', 'Azure/azure-powershell']);
+    assert.deepEqual(featured.repositories['octocat/alpha'], {
+        fullName: 'octocat/alpha',
+        name: 'alpha',
+        description: 'Pinned first',
+        url: 'https://github.com/octocat/alpha',
+        homepage: null,
+        stars: 42,
+        forks: 1,
+        language: 'JavaScript',
+        languageColor: '#f1e05a',
+        topics: ['portfolio'],
+        pushedAt: '2024-05-01T00:00:00Z',
+        archived: false
+    });
+    assert.equal(featured.repositories['octocat/beta'].language, null);
+    assert.equal(featured.repositories['octocat/beta'].description, '');
+    assert.equal(featured.repositories['Azure/azure-powershell'].homepage, 'https://learn.microsoft.com/powershell/azure');
+
+    assert.ok(warnings.some(message => message.includes('octocat/missing not found')));
+    assert.ok(warnings.some(message => message.includes('invalid repository name "not a repo"')));
+    assert.deepEqual(errors, []);
+});
+
+const unavailable = {
+    'no GraphQL endpoint': null,
+    'no token access': { status: 401, data: { message: 'Bad credentials' } },
+    'GraphQL errors': { data: { data: null, errors: [{ message: 'Resource not accessible by integration' }] } }
+};
+
+Object.entries(unavailable).forEach(([name, response]) => {
+    test(`keeps the language run and existing files with ${name}`, async () => {
+        const previous = JSON.stringify({ lastUpdated: '2024-01-01T00:00:00.000Z', username: 'octocat' });
+        fs.writeFileSync(outputPath('github-activity.json'), previous);
+        fs.writeFileSync(outputPath('github-repos.json'), previous);
+
+        const { generator } = createGenerator(response);
+
+        await generator.generate();
+
+        assert.equal(readOutput('github-languages.json').languages[0].name, 'JavaScript');
+        assert.equal(fs.readFileSync(outputPath('github-activity.json'), 'utf8'), previous);
+        assert.equal(fs.readFileSync(outputPath('github-repos.json'), 'utf8'), previous);
+        assert.equal(errors.length, 2);
+        assert.match(errors[0], /Could not collect contribution activity/);
+        assert.match(errors[1], /Could not collect featured repositories/);
+    });
+});
@@ -0,0 +1,97 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LanguageDataGenerator = require('../static/js/generate-language-data');
+
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+const rules = {
+    exclude: ['Dockerfile'],
+    groups: { 'HTML & CSS': ['HTML', 'CSS'], Scripting: ['Shell', 'PowerShell'] },
+    rename: { 'Jupyter Notebook': 'Python', Scripting: 'Shell scripts' }
+};
+
+function createGenerator(options = {}) {
+    return new LanguageDataGenerator({ token: 'test-token', rules, ...options });
+}
+
+/**
+ * Ranked [name, percent] pairs for the aggregated bytes of a single repository
+ */
+function ranked(generator, aggregated) {
+    const { languages } = generator.processLanguageData({ aggregated, byRepo: { 'octocat/site': aggregated }, skipped: [] });
+    return languages.map(lang => [lang.name, Math.round(lang.percent * 100) / 100]);
+}
+
+test('rejects unknown rule keys and languages listed in two groups', () => {
+    assert.throws(() => createGenerator({ rules: { groups: {}, merge: {} } }), {
+        message: 'Unknown language rule(s): merge (expected exclude, groups, rename)'
+    });
+    assert.throws(() => createGenerator({ rules: { groups: { Web: ['HTML', 'CSS'], Markup: ['html'] } } }), {
+        message: 'Language "html" is in both the "Web" and "Markup" groups'
+    });
+});
+
+test('keeps the rules as configured for the detailed output', () => {
+    assert.deepEqual(createGenerator().rules.config, rules);
+    assert.deepEqual(createGenerator({ rules: {} }).rules.config, { exclude: [], groups: {}, rename: {} });
+});
+
+test('excludes, groups and renames linguist languages case-insensitively', () => {
+    const { languages, excludedBytes } = createGenerator({
+        rules: { ...rules, exclude: ['dockerfile'], groups: { 'HTML & CSS': ['html', 'css'], Scripting: ['shell', 'powershell'] } }
+    }).applyLanguageRules({
+        HTML: 300,
+        CSS: 100,
+        Shell: 50,
+        PowerShell: 150,
+        'Jupyter Notebook': 500,
+        Python: 200,
+        Dockerfile: 40,
+        Go: 10
+    });
+
+    assert.equal(excludedBytes, 40);
+    assert.deepEqual(languages, {
+        'HTML & CSS': { bytes: 400, sources: ['HTML', 'CSS'] },
+        // A renamed group keeps its members as sources
+        'Shell scripts': { bytes: 200, sources: ['Shell', 'PowerShell'] },
+        // A rename onto an existing language merges the two
+        Python: { bytes: 700, sources: ['Jupyter Notebook', 'Python'] },
+        Go: { bytes: 10, sources: ['Go'] }
+    });
+});
+
+test('computes shares after excluded languages are removed', () => {
+    assert.deepEqual(ranked(createGenerator(), { Python: 300, Go: 100, Dockerfile: 600 }), [
+        ['Python', 75],
+        ['Go', 25]
+    ]);
+});
+
+test('applies minPercent to a group as a whole', () => {
+    // HTML and CSS are each below 1% but the group is not
+    assert.deepEqual(ranked(createGenerator(), { Python: 988, HTML: 6, CSS: 6 }), [
+        ['Python', 98.8],
+        ['HTML & CSS', 1.2]
+    ]);
+    assert.deepEqual(ranked(createGenerator({ rules: {} }), { Python: 988, HTML: 6, CSS: 6 }), [
+        ['Python', 98.8]
+    ]);
+});
+
+test('ranks a group as one language before cutting to maxLanguages', () => {
+    const aggregated = { Go: 300, HTML: 200, CSS: 200, Python: 250, Shell: 50 };
+
+    // Without groups HTML and CSS each rank below Python and Go
+    assert.deepEqual(ranked(createGenerator({ rules: {}, maxLanguages: 2 }), aggregated), [
+        ['Go', 30],
+        ['Python', 25]
+    ]);
+    assert.deepEqual(ranked(createGenerator({ maxLanguages: 2 }), aggregated), [
+        ['HTML & CSS', 40],
+        ['Go', 30]
+    ]);
+});
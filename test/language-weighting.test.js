@@ -0,0 +1,133 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LanguageDataGenerator = require('../static/js/generate-language-data');
+const { createTransport, repository } = require('./fake-transport');
+
+let outputDir;
+
+beforeEach(t => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'language-weighting-'));
+    t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+function createGenerator(options = {}) {
+    return new LanguageDataGenerator({
+        token: 'test-token',
+        username: 'octocat',
+        outputDir,
+        cacheFile: path.join(outputDir, '.cache', 'github-languages-cache.json'),
+        activity: { enabled: false },
+        featured: { enabled: false },
+        rules: { groups: { 'HTML & CSS': ['HTML', 'CSS'] } },
+        ...options
+    });
+}
+
+/**
+ * languageData as returned by fetchLanguageData for { fullName: languages }
+ */
+function languageData(byRepo, commitsByRepo = {}) {
+    const aggregated = {};
+    Object.values(byRepo).forEach(languages => {
+        Object.entries(languages).forEach(([language, bytes]) => {
+            aggregated[language] = (aggregated[language] || 0) + bytes;
+        });
+    });
+    return { aggregated, byRepo, commitsByRepo, skipped: [] };
+}
+
+function shares(generator, byRepo, commitsByRepo) {
+    const repos = Object.keys(byRepo).map(name => ({ full_name: name, updated_at: '2024-01-01T00:00:00Z' }));
+    const { languages } = generator.processLanguageData(languageData(byRepo, commitsByRepo), repos);
+    return Object.fromEntries(languages.map(lang => [lang.name, Math.round(lang.percent * 100) / 100]));
+}
+
+const site = { HTML: 300, CSS: 100 };
+
+test('bytes: a group sums the bytes of its languages', () => {
+    const generator = createGenerator({ weighting: { model: 'bytes' } });
+
+    assert.deepEqual(shares(generator, { 'octocat/site': site, 'octocat/tool': { Python: 600 } }), {
+        Python: 60,
+        'HTML & CSS': 40
+    });
+});
+
+test('repos: a group counts each repository once', () => {
+    const generator = createGenerator({ weighting: { model: 'repos' } });
+
+    assert.deepEqual(shares(generator, { 'octocat/site': site, 'octocat/tool': { Python: 100 } }), {
+        'HTML & CSS': 50,
+        Python: 50
+    });
+    assert.deepEqual(shares(generator, {
+        'octocat/site': { ...site, Python: 10 },
+        'octocat/tool': { Python: 100 },
+        'octocat/page': { CSS: 50 }
+    }), {
+        'HTML & CSS': 50,
+        Python: 50
+    });
+});
+
+test('repos: excluded languages do not count a repository', () => {
+    const generator = createGenerator({
+        weighting: { model: 'repos' },
+        rules: { exclude: ['Dockerfile'], groups: { 'HTML & CSS': ['HTML', 'CSS'] } }
+    });
+
+    assert.deepEqual(shares(generator, {
+        'octocat/site': { ...site, Dockerfile: 10 },
+        'octocat/image': { Dockerfile: 100 },
+        'octocat/tool': { Python: 100 }
+    }), {
+        'HTML & CSS': 50,
+        Python: 50
+    });
+});
+
+test('commits: splits each repository\'s commits by its language shares, grouped languages together', () => {
+    const generator = createGenerator({ weighting: { model: 'commits' } });
+
+    assert.deepEqual(shares(generator, {
+        'octocat/site': site,
+        'octocat/tool': { Python: 100, Shell: 100 }
+    }, {
+        'octocat/site': 30,
+        'octocat/tool': 20
+    }), {
+        'HTML & CSS': 60,
+        Python: 20,
+        Shell: 20
+    });
+});
+
+test('commits: counts the user\'s commits from the rel="last" page of each repository', async () => {
+    const commitPages = { site: 30, tool: 10 };
+    const transport = createTransport({
+        'GET /users/{username}/repos': { data: [repository('octocat/site'), repository('octocat/tool'), repository('octocat/empty')] },
+        'GET /repos/{owner}/{repo}/languages': params => ({ data: params.repo === 'site' ? site : { Python: 100 } }),
+        'GET /repos/{owner}/{repo}/commits': params => {
+            if (params.repo === 'empty') {
+                return { status: 409, data: { message: 'Git Repository is empty.' } };
+            }
+            const last = `https://api.github.com/repositories/1/commits?author=octocat&per_page=1&page=${commitPages[params.repo]}`;
+            return { data: [{}], headers: { link: `<${last}>; rel="last"` } };
+        }
+    });
+
+    await createGenerator({ weighting: { model: 'commits' }, transport }).generate();
+
+    const main = JSON.parse(fs.readFileSync(path.join(outputDir, 'github-languages.json'), 'utf8'));
+    assert.deepEqual(main.weighting, { model: 'commits' });
+    assert.deepEqual(main.languages.map(lang => [lang.name, lang.percent]), [['HTML & CSS', 75], ['Python', 25]]);
+    assert.ok(transport.callsTo('GET /repos/{owner}/{repo}/commits').every(call => call.params.author === 'octocat'));
+});
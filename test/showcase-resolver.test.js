@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ShowcaseResolver = require('../static/js/showcase-resolver');
+const ResumeBuilder = require('../static/js/build-resume');
+
+const dataDir = path.join(__dirname, '../static/data');
+
+const metadata = {
+    'octocat/alpha': {
+        fullName: 'octocat/alpha',
+        name: 'alpha',
+        description: 'From GitHub',
+        url: 'https://github.com/octocat/alpha'
+    }
+};
+
+test('fills missing fields from the repository metadata', () => {
+    const entry = new ShowcaseResolver(metadata).resolve({ repo: 'OctoCat/Alpha', details: ['Built it'] });
+
+    assert.equal(entry.title, 'alpha');
+    assert.equal(entry.url, 'https://github.com/octocat/alpha');
+    assert.equal(entry.description, 'From GitHub');
+    assert.deepEqual(entry.details, ['Built it']);
+    assert.equal(entry.metadata, metadata['octocat/alpha']);
+});
+
+test('keeps hand-written fields over the repository metadata', () => {
+    const entry = new ShowcaseResolver(metadata).resolve({
+        title: 'Alpha',
+        url: 'https://alpha.example.com',
+        repo: 'octocat/alpha',
+        description: ''
+    });
+
+    assert.equal(entry.title, 'Alpha');
+    assert.equal(entry.url, 'https://alpha.example.com');
+    // An explicitly empty description is an override too
+    assert.equal(entry.description, '');
+});
+
+test('resolves entries when the metadata file is missing', () => {
+    const resolver = new ShowcaseResolver();
+
+    assert.deepEqual(resolver.resolve({ title: 'Alpha', url: 'https://alpha.example.com', repo: 'octocat/alpha', description: 'Hand-written' }), {
+        title: 'Alpha',
+        url: 'https://alpha.example.com',
+        repo: 'octocat/alpha',
+        description: 'Hand-written',
+        details: [],
+        metadata: null
+    });
+
+    // Without hand-written fields only the repository name and GitHub URL are known
+    const bare = resolver.resolve({ repo: 'octocat/alpha' });
+    assert.equal(bare.title, 'alpha');
+    assert.equal(bare.url, 'https://github.com/octocat/alpha');
+    assert.equal(bare.description, '');
+});
+
+test('every committed showcase entry has a title, link and description without github-repos.json', () => {
+    ['about-content.json', 'about-content.zh.json'].forEach(file => {
+        const builder = new ResumeBuilder({ content: path.join(dataDir, file) });
+        builder.reposFile = path.join(dataDir, 'missing-github-repos.json');
+        assert.ok(!fs.existsSync(builder.reposFile));
+
+        const { showcase } = builder.loadData();
+        assert.ok(showcase.length > 0);
+        showcase.forEach(entry => {
+            assert.ok(entry.title && entry.url && entry.description, `${file}: ${entry.repo || entry.title} is incomplete`);
+            assert.equal(entry.metadata, null);
+        });
+    });
+});
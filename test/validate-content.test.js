@@ -0,0 +1,61 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ContentValidator = require('../static/js/content-validator');
+const { loadSchema } = require('../static/js/validate-content');
+
+const script = path.join(__dirname, '../static/js/validate-content.js');
+const content = JSON.parse(fs.readFileSync(path.join(__dirname, '../static/data/about-content.json'), 'utf8'));
+
+let tempDir;
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-content-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function withSection(key, data) {
+    return { ...content, sections: { ...content.sections, [key]: data } };
+}
+
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+}
+
+test('accepts custom sections the schema file does not describe', () => {
+    const validator = new ContentValidator(loadSchema(path.join(tempDir, 'sections')));
+
+    assert.deepEqual(validator.validate(withSection('certifications', ['AZ-104'])), []);
+    // Built-in sections are still required
+    const { whoAmI, ...sections } = content.sections;
+    assert.deepEqual(validator.validate({ ...content, sections }), [{ path: 'sections.whoAmI', message: 'is required but missing' }]);
+});
+
+test('checks custom sections against their schema in the sections directory', () => {
+    const sectionsDir = path.join(tempDir, 'sections');
+    writeJson(path.join(sectionsDir, 'certifications.schema.json'), { type: 'array', items: { type: 'string' } });
+    const validator = new ContentValidator(loadSchema(sectionsDir));
+
+    assert.deepEqual(validator.validate(withSection('certifications', ['AZ-104'])), []);
+    assert.deepEqual(validator.validate(withSection('certifications', { name: 'AZ-104' })), [
+        { path: 'sections.certifications', message: 'expected array but found object' }
+    ]);
+});
+
+test('npm run validate-content passes content with a custom section', () => {
+    const file = writeJson(path.join(tempDir, 'about-content.json'), withSection('certifications', ['AZ-104']));
+
+    const result = spawnSync(process.execPath, [script, file], { encoding: 'utf8' });
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Content is valid/);
+});